@@ -1,94 +1,122 @@
 /**
- * 0.1.createsheetlayout.js - Initialize Google Sheet with headers
- * Run once to set up the sheet structure
+ * 0.1.createsheetlayout.js - Initialize or upgrade the content plan (Google Sheet or local store)
+ * Safe to re-run after every release:
+ * - Empty sheet: writes all headers
+ * - Existing sheet: appends missing columns after the last header, never moves data
+ * - Reports columns it doesn't know and columns found under an alias
+ * - Google Sheets: adds dropdowns (yes/no, positions, backgrounds) and date/time formats
+ *   and hides the RowId column
+ * - Gives every filled-in row a RowId
+ * - Creates the Brands tab for brand profiles (unless brands.json is used)
+ * - With workspace.json: every listed spreadsheet/tab is migrated
+ *
+ * Usage:
+ *   node 0.1.createsheetlayout.js             # migrate
+ *   node 0.1.createsheetlayout.js --dry-run   # report only
  */
 
 require('dotenv').config();
-const { google } = require('googleapis');
-const path = require('path');
-const fs = require('fs').promises;
-
-const HEADERS = [
-  'Company',
-  'Website',
-  'Topic',
-  'Caption',
-  'Hashtags',
-  'ImagePrompt',
-  'GenImage',
-  'GenComplete',
-  'EmbedLogo(yes/no)',
-  'LogoUrl',
-  'LogoPosition',
-  'LogoEmbedComplete',
-  'ImageWithLogoEmbedded',
-  'EmbedText(yes/no)',
-  'TextContent',
-  'TextPosition',
-  'TextFont',
-  'TextColor',
-  'TextBackground',
-  'TextEmbedComplete',
-  'ImageWithTextEmbedded',
-  'NewImageLink',
-  'GenPipeComplete(yes/no)',
-  'Post(yes/no)',
-  'PostDate(DD/MM/YY)',
-  'PostTime(HH:MM AM/PM)',
-  'PostStatus',
-  'AllProcessComplete'
-];
-
-
-function extractSheetId(url) {
-  const match = url.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
-  if (!match) throw new Error('❌ Invalid Google Sheet link.');
-  return match[1];
+const { createStorage } = require('./lib/storage');
+const { COLUMNS, HEADERS, normalizeHeader } = require('./lib/schema');
+const { resolveColumns, loadRows, assignRowIds } = require('./lib/row');
+const { loadWorkspaces, storageOptions } = require('./lib/workspace');
+const { prepareBrandsTable } = require('./lib/brands');
+
+function planMigration(headers) {
+  const columns = resolveColumns(headers);
+  const matched = new Set(Object.values(columns));
+
+  const missing = COLUMNS.filter((c) => !(c.key in columns));
+
+  const renamed = COLUMNS
+    .filter((c) => c.key in columns)
+    .filter((c) => normalizeHeader(headers[columns[c.key]]) !== normalizeHeader(c.header))
+    .map((c) => ({ from: headers[columns[c.key]], to: c.header }));
+
+  const unknown = headers.filter((h, i) => h && !matched.has(i));
+
+  return { columns, missing, renamed, unknown };
 }
 
-async function authenticate() {
-  try {
-    const tokenData = await fs.readFile(path.join(__dirname, 'token.json'), 'utf8');
-    const token = JSON.parse(tokenData);
+async function migrateSheet(storage, { dryRun = false, options = {} } = {}) {
+  const { headers } = await storage.readTable();
+  const current = headers.slice();
+  while (current.length && !current[current.length - 1]) current.pop();
+
+  if (!current.length) {
+    console.log('Sheet is empty. Writing all headers.');
+    if (!dryRun) await storage.writeHeaders(HEADERS);
+  } else {
+    const { missing, renamed, unknown } = planMigration(current);
+
+    if (missing.length) {
+      console.log(`Adding ${missing.length} missing column(s): ${missing.map((c) => c.header).join(', ')}`);
+      if (!dryRun) await storage.writeHeaders([...current, ...missing.map((c) => c.header)]);
+    } else {
+      console.log('All expected columns present.');
+    }
+
+    renamed.forEach(({ from, to }) => {
+      console.log(`Renamed column: "${from}" is used as "${to}"`);
+    });
 
-    const credData = await fs.readFile(path.join(__dirname, 'credentials.json'), 'utf8');
-    const credentials = JSON.parse(credData);
+    unknown.forEach((h) => {
+      console.log(`Unknown column left untouched: "${h}"`);
+    });
+  }
 
-    const { client_secret, client_id, redirect_uris } = credentials.installed || credentials.web;
-    const oauth2Client = new google.auth.OAuth2(client_id, client_secret, redirect_uris[0]);
+  if (dryRun) {
+    console.log('Dry run. No changes written.');
+    return;
+  }
 
-    oauth2Client.setCredentials(token);
-    return oauth2Client;
-  } catch (err) {
-    throw new Error(`Auth failed: ${err.message}`);
+  if (storage.applyColumnRules) {
+    const { headers: finalHeaders } = await storage.readTable();
+    const { columns } = planMigration(finalHeaders);
+
+    const rules = COLUMNS
+      .filter((c) => (c.options || c.format || c.hidden) && c.key in columns)
+      .map((c) => ({
+        index: columns[c.key],
+        header: finalHeaders[columns[c.key]],
+        options: c.options,
+        format: c.format,
+        hidden: c.hidden
+      }));
+
+    const { locale, skipped } = await storage.applyColumnRules(rules);
+    console.log(`Applied dropdowns/formats to ${rules.length} column(s).`);
+    skipped.forEach((rule) => {
+      console.log(`${rule.header}: ${rule.format.pattern} format not applied, spreadsheet locale ${locale} does not put the day first.`);
+    });
   }
-}
 
-async function setHeaders(auth, sheetId) {
-  const sheets = google.sheets({ version: 'v4', auth });
+  const { rows } = await loadRows(storage, { assignIds: false });
+  const assigned = await assignRowIds(storage, rows);
+  if (assigned) console.log(`Assigned RowId to ${assigned} row(s).`);
 
-  await sheets.spreadsheets.values.update({
-    spreadsheetId: sheetId,
-    range: 'A1',
-    valueInputOption: 'RAW',
-    requestBody: {
-      values: [HEADERS]
-    }
-  });
+  if (await prepareBrandsTable(options)) console.log('Brands table ready for brand profiles.');
 
-  console.log('Headers created successfully.');
+  await storage.flush();
+  console.log(`Layout up to date in ${storage.name}.`);
 }
 
 async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
   try {
-    const sheetUrl = process.env.SHEET_URL;
-    if (!sheetUrl) throw new Error('SHEET_URL not set in .env');
+    const workspaces = loadWorkspaces();
 
-    const sheetId = extractSheetId(sheetUrl);
-    console.log('Sheet ID:', sheetId);
+    if (!workspaces.length) {
+      await migrateSheet(createStorage(), { dryRun });
+      return;
+    }
 
-    const auth = await authenticate();
-    await setHeaders(auth, sheetId);
+    for (const ws of workspaces) {
+      console.log(`\n--- Workspace: ${ws.name} ---`);
+      const options = storageOptions(ws);
+      await migrateSheet(createStorage(options), { dryRun, options });
+    }
   } catch (err) {
     console.error('Error:', err.message);
     process.exit(1);
@@ -99,4 +127,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { setHeaders };
\ No newline at end of file
+module.exports = { migrateSheet, planMigration, HEADERS };
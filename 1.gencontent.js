@@ -1,80 +1,193 @@
-const fs = require("fs");
 const dotenv = require("dotenv");
-const { google } = require("googleapis");
-const OpenAI = require("openai").default;
+const { createStorage } = require("./lib/storage");
+const { loadRows } = require("./lib/row");
+const { claimRow, releaseRow } = require("./lib/claims");
+const { getStatus, setStatus, isPublished } = require("./lib/status");
+const { classifyError, isDue, recordFailure, clearRetry } = require("./lib/retry");
+const { applyRegenerate, feedbackFor, clearFeedback, hasRequest, CONTENT_FIELDS } = require("./lib/regenerate");
+const { createHistory } = require("./lib/history");
+const { createBrands } = require("./lib/brands");
+const { renderPrompt, promptVariables, imageContext, loadTemplates } = require("./lib/prompts");
+const { createLLM } = require("./lib/llm");
+const { createWebsiteReader } = require("./lib/website");
+const { recentHashtags } = require("./lib/hashtags");
+const { rowLanguages, translateContent } = require("./lib/languages");
+const { overlaySettings } = require("./lib/overlay");
+const { parseFormat } = require("./lib/formats");
+const {
+  createVariants,
+  variantSettings,
+  variantStyle,
+  scoreVariants,
+  pickVariant,
+} = require("./lib/variants");
+const {
+  CONTENT_COLUMNS,
+  contentRules,
+  postSchema,
+  fieldInstructions,
+  formatHashtags,
+  generateValid,
+} = require("./lib/content");
 
 dotenv.config();
 
-const SHEET_URL = process.env.SHEET_URL;
-const OPENAI_KEY = process.env.OPENAI_KEY;
+const storage = createStorage();
+const history = createHistory();
+const brands = createBrands();
+const site = createWebsiteReader();
+const variants = createVariants();
 
-const openai = new OpenAI({ apiKey: OPENAI_KEY });
+// CAPTION_VARIANTS captions per row, winner picked per CAPTION_SELECTION (see lib/variants.js)
+const VARIANTS = variantSettings();
 
-// ----------- OAUTH AUTH -----------
-const CREDENTIALS = JSON.parse(fs.readFileSync("credentials.json"));
-const TOKEN = JSON.parse(fs.readFileSync("token.json"));
+// WEBSITE_CONTEXT=no writes posts from the topic and brand profile alone
+const READ_WEBSITE = (process.env.WEBSITE_CONTEXT || "yes").toLowerCase() !== "no";
 
-const { client_secret, client_id, redirect_uris } =
-  CREDENTIALS.installed || CREDENTIALS.web;
+// OVERLAY_TEXT=no / ALT_TEXT=no leave TextContent and AltText to people (see lib/overlay.js)
+const OVERLAY = overlaySettings();
 
-const oAuth2Client = new google.auth.OAuth2(
-  client_id,
-  client_secret,
-  redirect_uris[0]
-);
+// One structured call per row unless LLM_STRUCTURED=no (e.g. local models without JSON schema support)
+const STRUCTURED = (process.env.LLM_STRUCTURED || "yes").toLowerCase() !== "no";
 
-oAuth2Client.setCredentials(TOKEN);
-
-const sheets = google.sheets({ version: "v4", auth: oAuth2Client });
+// Model, endpoint and settings per field come from LLM_* (see lib/llm.js)
+const llm = STRUCTURED
+  ? { post: createLLM("post") }
+  : {
+      caption: createLLM("caption"),
+      hashtags: createLLM("hashtags"),
+      imagePrompt: createLLM("imagePrompt"),
+      overlayText: createLLM("overlayText"),
+      altText: createLLM("altText"),
+    };
+if (VARIANTS.count > 1 && VARIANTS.selection === "score") llm.score = createLLM("score");
+llm.translate = createLLM("translate");
 
 // ---------------- HELPERS ----------------
-function extractSheetId(url) {
-  return url.match(/\/d\/([a-zA-Z0-9-_]+)/)[1];
+// Regenerate feedback (and the text it replaces) goes at the end of the prompt
+function withFeedback(prompt, feedback, previous, label) {
+  let out = prompt;
+  if (previous) out += `\nPrevious ${label}: "${previous}". Write something different.`;
+  if (feedback) out += `\nFeedback on the ${label}: ${feedback}`;
+  return out;
 }
 
-async function generateGPT(model, prompt) {
-  const res = await openai.chat.completions.create({
-    model,
-    messages: [{ role: "user", content: prompt }],
+// Output is cleaned up and checked against the content rules, and asked for again when it fails them
+async function generateFields(fields, { row, vars, brand, rules, previous }) {
+  if (STRUCTURED) {
+    let prompt = renderPrompt("post", vars, brand);
+    fields
+      .map((field) => (field === "captions" ? "caption" : field))
+      .filter((field) => CONTENT_FIELDS.includes(field))
+      .forEach((field) => {
+        prompt = withFeedback(prompt, feedbackFor(row, field), previous[field], field);
+      });
+    prompt += `\n${fieldInstructions(fields, rules)}`;
+
+    const schema = postSchema(fields, rules);
+    const result = await generateValid((p) => llm.post.generateJSON(p, schema), prompt, { fields, rules, brand });
+    return { ...result, model: llm.post };
+  }
+
+  const [field] = fields;
+
+  // One call per variant, each asked for a different opening
+  if (field === "captions") {
+    const prompt = withFeedback(renderPrompt("caption", vars, brand), feedbackFor(row, "caption"), previous.caption, "caption");
+    const captions = [];
+    for (let i = 0; i < rules.captionVariants; i++) {
+      const { hook, length } = variantStyle(i);
+      const { content } = await generateValid(
+        async (p) => ({ caption: await llm.caption.generate(p) }),
+        `${prompt}\nOpen with ${hook} and keep it to ${length}.`,
+        { fields: ["caption"], rules, brand }
+      );
+      captions.push({ hook, caption: content.caption });
+    }
+    return { content: { captions }, prompt, model: llm.caption };
+  }
+
+  // Alt text describes the image prompt and overlay written by the calls before it
+  const model = llm[field];
+  const fieldVars = { ...vars, imageContext: imageContext(row.get("imagePrompt"), row.get("textContent")) };
+  const prompt = withFeedback(renderPrompt(field, fieldVars, brand), feedbackFor(row, field), previous[field], field);
+  const result = await generateValid(async (p) => ({ [field]: await model.generate(p) }), prompt, {
+    fields,
+    rules,
+    brand,
   });
+  return { ...result, model };
+}
 
-  return res.choices[0].message.content.trim();
+// Empty fields this run should fill. Overlay text is written for rows that embed text and have none;
+// it comes before alt text so the description can quote it.
+// While a person is choosing between caption variants, no new ones are written.
+function fieldsToGenerate(row, inPlace, awaitingChoice = false) {
+  const fields = (inPlace.length ? inPlace : CONTENT_FIELDS.concat("imagePrompt").filter((f) => !row.get(f)))
+    .filter((f) => inPlace.length || !awaitingChoice || f !== "caption")
+    .map((f) => (f === "caption" && VARIANTS.count > 1 ? "captions" : f));
+  if (inPlace.length) return fields;
+
+  if (OVERLAY.generateOverlay && row.has("textContent") && !row.get("textContent") && row.getBool("embedText")) {
+    fields.push("overlayText");
+  }
+  if (OVERLAY.generateAltText && row.has("altText") && !row.get("altText")) fields.push("altText");
+  return fields;
 }
 
-async function updateCell(sheetId, range, value) {
-  await sheets.spreadsheets.values.update({
-    spreadsheetId: sheetId,
-    range,
-    valueInputOption: "RAW",
-    requestBody: { values: [[value]] },
-  });
+// Variant the CaptionVariant column asks for, when Caption doesn't hold it yet.
+// A caption edited by hand (matching no variant) is left alone.
+function chosenVariant(row, set) {
+  if (!row.has("captionVariant") || !row.get("captionVariant") || !set.length) return null;
+
+  const chosen = set.find((v) => v.variant === row.getNumber("captionVariant"));
+  const caption = row.get("caption");
+  if (!chosen || chosen.caption === caption) return null;
+  return !caption || set.some((v) => v.caption === caption) ? chosen : null;
+}
+
+// Saves the variants and puts the winner in Caption. Without a winner (manual
+// selection) Caption keeps whatever it held before.
+async function applyVariants(row, captions, { vars, brand, previous }) {
+  const scored = llm.score ? await scoreVariants(llm.score, captions, { vars, brand }) : captions;
+  const saved = await variants.save(row, scored);
+  const winner = saved.find((v) => v.variant === pickVariant(saved, VARIANTS.selection));
+
+  row.set("caption", winner ? winner.caption : previous.caption || "");
+  if (row.has("captionVariant")) row.set("captionVariant", winner ? winner.variant : "");
+
+  console.log(
+    winner
+      ? `Row ${row.rowNumber}: ${saved.length} caption variants, using ${winner.variant}`
+      : `Row ${row.rowNumber}: ${saved.length} caption variants saved, choose one in CaptionVariant`
+  );
+  return winner;
 }
 
 // ---------------- MAIN LOGIC ----------------
 async function run() {
-  const sheetId = extractSheetId(SHEET_URL);
+  // A broken prompts.json stops here instead of failing every row
+  loadTemplates();
 
-  const { data } = await sheets.spreadsheets.values.get({
-    spreadsheetId: sheetId,
-    range: "Sheet1!A2:F",
+  const { rows } = await loadRows(storage, {
+    required: ["company", "topic", "caption", "hashtags", "imagePrompt"],
   });
 
-  const rows = data.values;
-  if (!rows || rows.length === 0) {
+  if (rows.length === 0) {
     console.log("No data found. Exiting.");
     return;
   }
 
-  for (let i = 0; i < rows.length; i++) {
-    const rowIndex = i + 2;
-    const [
-      company,
-      website,
-      topic,
-      caption,
-      hashtags,
-      imagePrompt,
-    ] = rows[i];
+  const sets =
+    VARIANTS.count > 1 || rows.some((r) => r.has("captionVariant") && r.get("captionVariant"))
+      ? await variants.latestByRow()
+      : new Map();
+
+  for (const row of rows) {
+    const rowIndex = row.rowNumber;
+    const company = row.get("company");
+    const website = row.get("website");
+    const topic = row.get("topic");
 
     if (!company && !website && !topic) {
       console.log("No new row detected, exiting.");
@@ -91,62 +204,154 @@ async function run() {
       continue;
     }
 
-    console.log(`Reading topic complete: ${topic}`);
-
-    // -------- CAPTION --------
-    if (!caption) {
-      try {
-        console.log(`Generating Caption for ${topic}`);
-        const newCaption = await generateGPT(
-          "gpt-5",
-          `Write one single, professional social media caption for ${company} about "${topic}". 
-Return ONLY the caption text.`
-        );
-
-        await updateCell(sheetId, `Sheet1!D${rowIndex}`, newCaption);
-        console.log(`Caption saved for ${topic}`);
-      } catch (err) {
-        console.log(`Caption failed for ${topic}`, err.message);
-      }
+    const status = getStatus(row);
+    const requested = hasRequest(row);
+    const set = sets.get(row.id) || [];
+    const swap = !isPublished(status) && chosenVariant(row, set);
+    const awaitingChoice = !swap && set.length > 0 && !row.get("caption");
+
+    if (status !== "draft" && !requested && !swap) {
+      console.log(`Row ${rowIndex}: Status is ${status}. Skipping.`);
+      continue;
     }
 
-    // -------- HASHTAGS --------
-    if (!hashtags) {
-      try {
-        console.log(`Generating Hashtags for ${topic}`);
-        const newHashtags = await generateGPT(
-          "gpt-5-mini",
-          `Generate exactly 10 relevant social media hashtags for "${topic}". 
-Return ONLY hashtags separated by spaces.`
-        );
-
-        await updateCell(sheetId, `Sheet1!E${rowIndex}`, newHashtags);
-        console.log(`Hashtags saved for ${topic}`);
-      } catch (err) {
-        console.log(`Hashtags failed for ${topic}`, err.message);
-      }
+    if (status === "draft" && !requested && awaitingChoice && !fieldsToGenerate(row, [], true).length) {
+      console.log(`Row ${rowIndex}: Waiting for a caption choice in CaptionVariant. Skipping.`);
+      continue;
     }
 
-    // -------- IMAGE PROMPT --------
-    if (!imagePrompt) {
-      try {
-        console.log(`Generating Image Prompt for ${topic}`);
-        const newImagePrompt = await generateGPT(
-          "gpt-5",
-          `Write one single detailed AI image prompt for a social media post about "${topic}" for ${company}. Do not add any kind of text adding instructions in the prompt
-Return ONLY the prompt.`
-        );
-
-        await updateCell(sheetId, `Sheet1!F${rowIndex}`, newImagePrompt);
-        console.log(`Image Prompt saved for ${topic}`);
-      } catch (err) {
-        console.log(`Image Prompt failed for ${topic}`, err.message);
-      }
+    if (!isDue(row) && !requested && !swap) {
+      console.log(`Row ${rowIndex}: Waiting to retry at ${row.get("nextRetryAt")}. Skipping.`);
+      continue;
+    }
+
+    // Read before claiming so a broken brands.json stops the run without holding a row
+    const brand = await brands.get(company);
+    const brandName = brand ? brand.company : "";
+
+    let languages, format;
+    try {
+      languages = rowLanguages(row, brand);
+      format = parseFormat(row.get("format"));
+    } catch (err) {
+      console.log(`Row ${rowIndex}: ${err.message} Skipping.`);
+      continue;
     }
 
+    // In a multi-language post each language gets its share of the caption and overlay length
+    const baseRules = contentRules(brand, recentHashtags(rows, row), format);
+    const rules = {
+      ...baseRules,
+      captionMaxLength: Math.floor(baseRules.captionMaxLength / languages.length),
+      overlayMaxLength: Math.floor(baseRules.overlayMaxLength / languages.length),
+      sublineMaxLength: Math.floor(baseRules.sublineMaxLength / languages.length),
+    };
+
+    if (!(await claimRow(storage, row))) continue;
+
+    try {
+      // Image/logo/text requests move the row back; caption/hashtags are redone here
+      const regen = applyRegenerate(row);
+      await row.save();
+
+      // A variant picked in CaptionVariant replaces the caption, unless a new one was asked for
+      const chosen = !isPublished(getStatus(row)) && chosenVariant(row, set);
+      if (chosen && !(regen && regen.fields.includes("caption"))) {
+        row.set("caption", chosen.caption);
+        await row.save();
+        await history.record(row, "caption", chosen.caption, { source: `variant ${chosen.variant}` });
+        console.log(`Row ${rowIndex}: caption set to variant ${chosen.variant}`);
+      }
+
+      const inPlace =
+        regen && getStatus(row) !== "draft" ? regen.fields.filter((f) => CONTENT_FIELDS.includes(f)) : [];
+
+      if (getStatus(row) !== "draft" && !inPlace.length) {
+        await row.save();
+        continue;
+      }
+
+      console.log(`Reading topic complete: ${topic}`);
+      const errors = [];
+      const previous = regen ? regen.previous : {};
+
+      const pageUrl = row.get("sourceUrl") || website || (brand ? brand.website : "");
+      const page = READ_WEBSITE ? await site.read(pageUrl) : null;
+      const vars = promptVariables({ company, topic, website, page, languages }, brand, rules);
+
+      const fields = fieldsToGenerate(row, inPlace, !row.get("caption") && awaitingChoice);
+      const groups = STRUCTURED ? [fields] : fields.map((field) => [field]);
+
+      for (const group of groups.filter((g) => g.length)) {
+        const names = group.join(", ");
+        try {
+          console.log(`Generating ${names} for ${topic}`);
+          const generated = await generateFields(group, { row, vars, brand, rules, previous });
+          const { prompt, model } = generated;
+          const content = await translateContent(llm.translate, generated.content, { languages, vars, brand, rules });
+
+          const written = group.filter((field) => field !== "captions");
+          written.forEach((field) => {
+            row.set(CONTENT_COLUMNS[field], field === "hashtags" ? formatHashtags(content.hashtags) : content[field]);
+          });
+          if (content.captions && (await applyVariants(row, content.captions, { vars, brand, previous }))) {
+            written.push("caption");
+          }
+          clearFeedback(row, written);
+          await row.save();
+
+          for (const field of written) {
+            const key = CONTENT_COLUMNS[field];
+            await history.record(row, key, row.get(key), {
+              model: model.name,
+              params: {
+                prompt,
+                brand: brandName,
+                website: page ? page.url : undefined,
+                languages: languages.length > 1 ? languages.map((l) => l.code).join(", ") : undefined,
+                ...model.params,
+              },
+            });
+          }
+          console.log(`Saved ${names} for ${topic}`);
+        } catch (err) {
+          console.log(`Generating ${names} failed for ${topic}`, err.message);
+          err.message = `${names}: ${err.message}`;
+          errors.push(err);
+        }
+      }
+
+      if (errors.length && inPlace.length) {
+        // Put the old text and the request back so the next run tries again
+        for (const [key, value] of Object.entries(previous)) {
+          if (!row.get(key)) row.set(key, value);
+        }
+        row.set("regenerate", regen.raw);
+      } else if (errors.length) {
+        // Only worth retrying when nothing failed for good
+        const permanent = errors.find((e) => classifyError(e) === "permanent");
+        const reason = errors.map((e) => e.message).join("; ");
+        recordFailure(row, "content_ready", permanent || errors[0], reason);
+      } else if (!inPlace.length && !row.get("caption")) {
+        setStatus(row, "draft", "waiting for a caption choice in CaptionVariant");
+      } else if (!inPlace.length) {
+        clearRetry(row);
+        setStatus(row, "content_ready");
+      }
+      await row.save();
+    } finally {
+      await releaseRow(row);
+    }
     console.log(`Completed all steps for ${topic}`);
     console.log("Going to next row");
   }
+
+  await storage.flush();
+  await variants.flush();
+  await history.flush();
 }
 
-run().catch(console.error);
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -1,250 +1,277 @@
-const fs = require("fs");
-const path = require("path");
 const dotenv = require("dotenv");
-const { google } = require("googleapis");
-const OpenAI = require("openai").default;
+const { createStorage } = require("./lib/storage");
+const { createAssetStore } = require("./lib/assets");
+const { loadRows } = require("./lib/row");
+const { claimRow, releaseRow } = require("./lib/claims");
+const { getStatus, setStatus, isPublished } = require("./lib/status");
+const { isDue, recordFailure, clearRetry } = require("./lib/retry");
+const { feedbackFor, clearFeedback } = require("./lib/regenerate");
+const { createHistory } = require("./lib/history");
+const { createImageProvider } = require("./lib/images");
+const sharp = require("sharp");
+const { parseFormat, matchesFormat, fitToFormat } = require("./lib/formats");
+const { candidateSettings, formatCandidates, chosenCandidate, applyCandidate } = require("./lib/candidates");
+const { policySettings, isPolicyRejection, createPromptRewriter } = require("./lib/policy");
+const { createBrands } = require("./lib/brands");
+const { promptVariables } = require("./lib/prompts");
 
 dotenv.config();
 
-const SHEET_URL = process.env.SHEET_URL;
-const OPENAI_KEY = process.env.OPENAI_KEY;
+// IMAGE_PROVIDER: openai (gpt-image / dall-e), sd or placeholder (see lib/images.js)
+const images = createImageProvider();
 
-const openai = new OpenAI({ apiKey: OPENAI_KEY });
+// IMAGE_CANDIDATES images per prompt for a person to choose from (see lib/candidates.js)
+const CANDIDATES = candidateSettings();
 
-// ---------------- OAUTH ----------------
-const CREDENTIALS = JSON.parse(fs.readFileSync("credentials.json"));
-const TOKEN = JSON.parse(fs.readFileSync("token.json"));
+// IMAGE_PROMPT_REWRITES rewrites of a prompt the content policy turns down (see lib/policy.js)
+const POLICY = policySettings();
+let rewriter = null;
 
-const { client_secret, client_id, redirect_uris } =
-  CREDENTIALS.installed || CREDENTIALS.web;
-
-const oAuth2Client = new google.auth.OAuth2(
-  client_id,
-  client_secret,
-  redirect_uris[0]
-);
-
-oAuth2Client.setCredentials(TOKEN);
-
-const sheets = google.sheets({ version: "v4", auth: oAuth2Client });
-const drive = google.drive({ version: "v3", auth: oAuth2Client });
+const storage = createStorage();
+const history = createHistory();
+// ASSET_BACKEND: drive, local or s3 (see lib/assets)
+const assets = createAssetStore();
+const brands = createBrands();
 
 // ---------------- HELPERS ----------------
-function extractSheetId(url) {
-  return url.match(/\/d\/([a-zA-Z0-9-_]+)/)[1];
-}
+// The provider's closest size to `format`, cropped to it when the shape differs
+async function generateImage(prompt, format) {
+  const size = images.sizeFor(format);
+  console.log(`Calling ${images.name} (${format.name}, ${size})`);
 
-function columnNumberToLetter(num) {
-  let letter = "";
-  while (num > 0) {
-    const mod = (num - 1) % 26;
-    letter = String.fromCharCode(65 + mod) + letter;
-    num = Math.floor((num - mod) / 26);
-  }
-  return letter;
-}
+  const image = await images.generate(prompt, { size });
+  console.log(`Image received (${image.mimeType}, ${image.buffer.length} bytes)`);
 
-async function updateCell(sheetId, colIndex, rowIndex, value) {
-  const colLetter = columnNumberToLetter(colIndex + 1);
-  const range = `Sheet1!${colLetter}${rowIndex}`;
+  const { width, height } = await sharp(image.buffer).metadata();
+  if (matchesFormat(width, height, format)) return image;
 
-  await sheets.spreadsheets.values.update({
-    spreadsheetId: sheetId,
-    range,
-    valueInputOption: "RAW",
-    requestBody: { values: [[value]] },
-  });
+  console.log(`Cropping ${width}x${height} to ${format.ratio}`);
+  return { ...image, buffer: await fitToFormat(image.buffer, format, "crop"), mimeType: "image/png" };
 }
 
-async function getOrCreateFolder(folderName) {
-  console.log(`Checking for Google Drive folder: ${folderName}`);
-
-  const res = await drive.files.list({
-    q: `name='${folderName}' and mimeType='application/vnd.google-apps.folder' and trashed=false`,
-    fields: "files(id, name)",
-  });
+// Generates from `prompt` plus any Regenerate `feedback`, rewriting the prompt
+// each time the content policy turns it down. Only `prompt` is rewritten, so
+// the feedback never ends up in ImagePrompt. Returns the image, the prompt that
+// made it (without the feedback) and the rewrites on the way.
+async function generateCompliant(row, prompt, format, feedback = "") {
+  const rewrites = [];
+  let current = prompt;
 
-  if (res.data.files.length > 0) {
-    console.log("Folder found");
-    return res.data.files[0].id;
+  for (;;) {
+    try {
+      const image = await generateImage(feedback ? `${current}\n\nAdjustments: ${feedback}` : current, format);
+      return { image, prompt: current, rewrites };
+    } catch (err) {
+      if (!isPolicyRejection(err)) throw err;
+      if (rewrites.length >= POLICY.rewrites) {
+        if (rewrites.length) err.message = `${err.message} (still rejected after ${rewrites.length} rewrite(s))`;
+        throw err;
+      }
+
+      console.log(`Prompt rejected by the content policy: ${err.message}`);
+      rewriter = rewriter || createPromptRewriter();
+      const brand = await brands.get(row.get("company"));
+      const vars = promptVariables({ company: row.get("company"), topic: row.get("topic"), website: row.get("website") }, brand);
+      const rewritten = await rewriter.rewrite(current, err.message, { vars, brand });
+
+      rewrites.push({ originalPrompt: current, prompt: rewritten, reason: err.message });
+      console.log(`Rewritten prompt: ${rewritten}`);
+      current = rewritten;
+    }
   }
-
-  console.log("Folder not found. Creating folder.");
-
-  const folder = await drive.files.create({
-    requestBody: {
-      name: folderName,
-      mimeType: "application/vnd.google-apps.folder",
-    },
-    fields: "id",
-  });
-
-  console.log("Folder created");
-  return folder.data.id;
 }
 
-async function uploadToDrive(folderId, filePath, fileName) {
-  console.log("Uploading image to Google Drive");
-
-  const fileMetadata = {
-    name: fileName,
-    parents: [folderId],
-  };
-
-  const media = {
-    mimeType: "image/png",
-    body: fs.createReadStream(filePath),
-  };
-
-  const file = await drive.files.create({
-    requestBody: fileMetadata,
-    media,
-    fields: "id",
-  });
-
-  await drive.permissions.create({
-    fileId: file.data.id,
-    requestBody: {
-      role: "reader",
-      type: "anyone",
-    },
-  });
-
-  const result = await drive.files.get({
-    fileId: file.data.id,
-    fields: "webViewLink",
-  });
-
-  console.log("Upload completed and public link created");
-  return result.data.webViewLink;
-}
-
-async function downloadImage(url, outputPath) {
-  console.log("Downloading image from OpenAI URL");
-
-  const res = await fetch(url);
-  if (!res.ok) {
-    throw new Error(`Image download failed with status ${res.status}`);
+// The last rewrite becomes the row's ImagePrompt; each one goes into the history
+async function recordRewrites(row, rewrites) {
+  for (const { prompt, originalPrompt, reason } of rewrites) {
+    await history.record(row, "imagePrompt", prompt, {
+      model: rewriter.name,
+      params: { originalPrompt, reason },
+      source: "policy rewrite",
+    });
   }
-
-  const arrayBuffer = await res.arrayBuffer();
-  const buffer = Buffer.from(arrayBuffer);
-
-  fs.writeFileSync(outputPath, buffer);
-
-  console.log("Image downloaded locally");
 }
 
-
-async function generateImage(prompt) {
-  console.log("Calling DALL E 3");
-
-  const result = await openai.images.generate({
-    model: "dall-e-3",
-    prompt,
-    size: "1024x1024",
+async function saveImage(image, baseName) {
+  const ref = await assets.put(image.buffer, {
+    name: `${baseName}.${image.mimeType.split("/")[1] || "png"}`,
+    mimeType: image.mimeType,
   });
-
-  return result.data[0].url;
+  console.log(`Image stored in ${assets.name}`);
+  return ref;
 }
 
 // ---------------- MAIN LOGIC ----------------
 async function run() {
-  const sheetId = extractSheetId(SHEET_URL);
-  const folderId = await getOrCreateFolder("AutoFb");
-
-  console.log("Reading header row");
-
-  const headerRes = await sheets.spreadsheets.values.get({
-    spreadsheetId: sheetId,
-    range: "Sheet1!A1:Z1",
-  });
-
-  const headers = headerRes.data.values[0];
-
-  const imagePromptCol = headers.indexOf("ImagePrompt");
-  const genImageCol = headers.indexOf("GenImage");
-  const genCompleteCol = headers.indexOf("GenComplete");
+  console.log("Reading sheet rows");
 
-  if (imagePromptCol === -1 || genImageCol === -1 || genCompleteCol === -1) {
-    console.log("Required columns not found in headers.");
-    console.log("Required: ImagePrompt, GenImage, GenComplete");
+  let plan;
+  try {
+    plan = await loadRows(storage, {
+      required: ["imagePrompt", "genImage", "genComplete"],
+    });
+  } catch (err) {
+    console.log(err.message);
     process.exit(1);
   }
 
-  console.log("Columns detected:");
-  console.log(`ImagePrompt: ${imagePromptCol + 1}`);
-  console.log(`GenImage: ${genImageCol + 1}`);
-  console.log(`GenComplete: ${genCompleteCol + 1}`);
-
-  console.log("Reading sheet rows");
+  const { headers, columns, rows } = plan;
 
-  const { data } = await sheets.spreadsheets.values.get({
-    spreadsheetId: sheetId,
-    range: "Sheet1!A2:Z",
-  });
+  console.log("Columns detected:");
+  console.log(`ImagePrompt: ${headers[columns.imagePrompt]} (${columns.imagePrompt + 1})`);
+  console.log(`GenImage: ${headers[columns.genImage]} (${columns.genImage + 1})`);
+  console.log(`GenComplete: ${headers[columns.genComplete]} (${columns.genComplete + 1})`);
 
-  const rows = data.values;
-  if (!rows || rows.length === 0) {
+  if (rows.length === 0) {
     console.log("No rows found. Exiting.");
     return;
   }
 
-  for (let i = 0; i < rows.length; i++) {
-    const rowIndex = i + 2;
-    const row = rows[i];
+  for (const row of rows) {
+    const rowIndex = row.rowNumber;
+
+    const imagePrompt = row.get("imagePrompt");
+    const status = getStatus(row);
+
+    // A candidate picked in ImageChoice becomes the image, up until the post goes out
+    if (!isPublished(status) && chosenCandidate(row)) {
+      if (!(await claimRow(storage, row, { status }))) continue;
+
+      try {
+        const chosen = chosenCandidate(row);
+        if (chosen) {
+          applyCandidate(row, chosen);
+          clearRetry(row);
+          await row.save();
+          await history.record(row, "genImage", chosen.link, { model: images.name, source: `candidate ${chosen.number}` });
+          console.log(`Row ${rowIndex}: Using image candidate ${chosen.number}`);
+        }
+      } finally {
+        await releaseRow(row);
+      }
+      continue;
+    }
 
-    const imagePrompt = row[imagePromptCol];
-    const genImage = row[genImageCol];
-    const genComplete = row[genCompleteCol];
+    if (status !== "content_ready") {
+      if (!row.isBlank()) console.log(`Row ${rowIndex}: Status is ${status}. Skipping.`);
+      continue;
+    }
 
     if (!imagePrompt) {
       console.log(`Row ${rowIndex}: No ImagePrompt. Skipping.`);
       continue;
     }
 
-    if (genComplete === "Complete") {
-      console.log(`Row ${rowIndex}: Already completed. Skipping.`);
+    if (row.has("candidates") && row.get("candidates") && !row.get("genImage")) {
+      console.log(`Row ${rowIndex}: Waiting for an image choice in ImageChoice. Skipping.`);
       continue;
     }
 
-    console.log(`Processing row ${rowIndex}`);
-    console.log(`Image Prompt: ${imagePrompt}`);
-
-    try {
-      const imageUrl = await generateImage(imagePrompt);
-
-      const localFile = path.join(
-        __dirname,
-        `temp_${rowIndex}_${Date.now()}.png`
-      );
-
-      await downloadImage(imageUrl, localFile);
-
-      const driveLink = await uploadToDrive(
-        folderId,
-        localFile,
-        path.basename(localFile)
-      );
-
-      fs.unlinkSync(localFile);
-
-      await updateCell(sheetId, genImageCol, rowIndex, driveLink);
-      await updateCell(sheetId, genCompleteCol, rowIndex, "Complete");
-
-      console.log(`Row ${rowIndex}: Image generated and uploaded successfully`);
-      console.log("Moving to next row");
-    } catch (err) {
-      const errorMsg = `Error: ${err.message}`;
+    if (!isDue(row)) {
+      console.log(`Row ${rowIndex}: Waiting to retry at ${row.get("nextRetryAt")}. Skipping.`);
+      continue;
+    }
 
-      console.log(`Row ${rowIndex} failed`);
-      console.log(errorMsg);
+    if (!(await claimRow(storage, row, { status: "content_ready" }))) continue;
 
-      await updateCell(sheetId, genCompleteCol, rowIndex, errorMsg);
+    try {
+      console.log(`Processing row ${rowIndex}`);
+      console.log(`Image Prompt: ${imagePrompt}`);
+
+      try {
+        // Feedback from a Regenerate request for the image
+        const feedback = feedbackFor(row, "image");
+        const format = parseFormat(row.get("format"));
+
+        const rewrites = [];
+
+        if (CANDIDATES.count > 1 && row.has("candidates")) {
+          const links = [];
+          let current = imagePrompt;
+          let failure = null;
+          for (let i = 1; i <= CANDIDATES.count; i++) {
+            console.log(`Candidate ${i} of ${CANDIDATES.count}`);
+            // A failed candidate ends the set; the images stored so far are kept
+            try {
+              // Once a prompt had to be rewritten, the rest of the set uses the rewrite
+              const result = await generateCompliant(row, current, format, feedback);
+              rewrites.push(...result.rewrites);
+              current = result.prompt;
+              links.push(await saveImage(result.image, `image_${rowIndex}_${i}`));
+            } catch (err) {
+              if (!links.length) throw err;
+              console.log(`Candidate ${i} failed, keeping ${links.length}: ${err.message}`);
+              failure = err;
+              break;
+            }
+          }
+
+          if (rewrites.length) row.set("imagePrompt", current);
+          row.set("candidates", formatCandidates(links));
+          if (row.has("imageChoice")) row.set("imageChoice", "");
+          clearFeedback(row, ["image"]);
+          row.set(
+            "genComplete",
+            failure
+              ? `${links.length} of ${CANDIDATES.count} candidates (${failure.message}), pick one in ImageChoice`
+              : `${links.length} candidates, pick one in ImageChoice`
+          );
+          clearRetry(row);
+          setStatus(row, "content_ready", "waiting for an image choice in ImageChoice");
+          await row.save();
+          await recordRewrites(row, rewrites);
+
+          console.log(`Row ${rowIndex}: ${links.length} candidates stored, waiting for a pick`);
+        } else {
+          const result = await generateCompliant(row, imagePrompt, format, feedback);
+          rewrites.push(...result.rewrites);
+          const imageRef = await saveImage(result.image, `image_${rowIndex}`);
+
+          if (rewrites.length) row.set("imagePrompt", result.prompt);
+          row.set("genImage", imageRef);
+          row.set("genComplete", "Complete");
+          clearFeedback(row, ["image"]);
+          clearRetry(row);
+          setStatus(row, "image_ready", rewrites.length ? "image prompt rewritten after a content-policy rejection" : "");
+          await row.save();
+          await recordRewrites(row, rewrites);
+          await history.record(row, "genImage", imageRef, {
+            model: images.name,
+            params: {
+              prompt: result.prompt,
+              ...(rewrites.length ? { originalPrompt: imagePrompt } : {}),
+              ...(feedback ? { feedback } : {}),
+              ...images.params,
+              format: format.name,
+              revisedPrompt: result.image.revisedPrompt,
+            },
+          });
+
+          console.log(`Row ${rowIndex}: Image generated and stored successfully`);
+        }
+
+        console.log("Moving to next row");
+      } catch (err) {
+        const errorMsg = `Error: ${err.message}`;
+
+        console.log(`Row ${rowIndex} failed`);
+        console.log(errorMsg);
+
+        const outcome = recordFailure(row, "image_ready", err);
+        row.set("genComplete", outcome === "retry" ? `Retrying: ${err.message}` : errorMsg);
+        await row.save();
+      }
+    } finally {
+      await releaseRow(row);
     }
   }
 
+  await storage.flush();
+  await history.flush();
   console.log("All rows processed");
 }
 
-run().catch(console.error);
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
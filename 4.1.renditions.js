@@ -0,0 +1,147 @@
+/**
+ * 4.1.renditions.js - Other formats of a finished image
+ *
+ * For rows with Renditions set (e.g. "story, landscape:pad") and no
+ * RenditionLinks yet, the master image (GenImage) is fitted to each format by
+ * smart crop or by padding over a blurred copy (RENDITION_MODE, default crop;
+ * see lib/formats.js). The logo and overlay text are then drawn again with
+ * that format's layout, as Embed Logo and Embed Text would, and the stored
+ * images go to RenditionLinks as "format: <image ID>" lines.
+ *
+ * Runs on rendered rows and later, up to posting, and never moves a row's
+ * status: a rendition that fails is written to RenditionLinks as an error
+ * (clear the cell to try again), or left for the next run when the failure
+ * is transient.
+ */
+
+const dotenv = require("dotenv");
+const { createStorage } = require("./lib/storage");
+const { createAssetStore } = require("./lib/assets");
+const { loadRows } = require("./lib/row");
+const { claimRow, releaseRow } = require("./lib/claims");
+const { getStatus } = require("./lib/status");
+const { classifyError } = require("./lib/retry");
+const { createHistory } = require("./lib/history");
+const { parseFormat, parseRenditions, fitToFormat } = require("./lib/formats");
+const { normalizePosition, normalizeColor, parseBackground, embedLogo, embedText } = require("./lib/render");
+
+dotenv.config();
+
+const storage = createStorage();
+const history = createHistory();
+const assets = createAssetStore();
+
+const STATES = ["rendered", "review", "approved", "scheduled"];
+
+// ---------------- HELPERS ----------------
+async function download(ref) {
+  console.log(`Downloading: ${ref}`);
+  const { buffer } = await assets.get(ref);
+  return buffer;
+}
+
+// One format: fit the master, then the logo and text in that format's layout
+async function renderRendition(master, logo, row, { format, mode }) {
+  let image = await fitToFormat(master, format, mode);
+
+  if (logo) {
+    const position = normalizePosition(row.get("logoPosition") || process.env.DEFAULT_LOGO_POSITION);
+    image = await embedLogo(image, logo, { position, format });
+  }
+
+  if (row.getBool("embedText") && row.get("textContent")) {
+    image = await embedText(image, row.get("textContent"), {
+      font: row.get("textFont") || "Arial",
+      position: row.get("textPosition") || "TopCenter",
+      color: normalizeColor(row.get("textColor") || "White"),
+      ...parseBackground(row.get("textBackground") || "Opaque Black"),
+      format,
+    });
+  }
+
+  return image;
+}
+
+// ---------------- MAIN ----------------
+async function run() {
+  console.log("Reading sheet");
+
+  let rows;
+  try {
+    ({ rows } = await loadRows(storage, { required: ["genImage", "renditions", "renditionLinks"] }));
+  } catch (err) {
+    console.log(`${err.message}. Aborting.`);
+    process.exit(1);
+  }
+
+  for (const row of rows) {
+    const rowIndex = row.rowNumber;
+    const status = getStatus(row);
+
+    if (!row.get("renditions") || row.get("renditionLinks")) continue;
+
+    if (!STATES.includes(status)) {
+      console.log(`Row ${rowIndex}: Status is ${status}. Skipping.`);
+      continue;
+    }
+
+    const masterUrl = row.get("genImage");
+    if (!masterUrl) {
+      console.log(`Row ${rowIndex}: No GenImage. Skipping.`);
+      continue;
+    }
+
+    if (!(await claimRow(storage, row, { status }))) continue;
+
+    try {
+      console.log(`Processing row ${rowIndex}`);
+
+      try {
+        const own = parseFormat(row.get("format")).name;
+        const renditions = parseRenditions(row.get("renditions")).filter(({ format }) => {
+          if (format.name !== own) return true;
+          console.log(`Row ${rowIndex}: ${format.name} is the row's own format. Skipping it.`);
+          return false;
+        });
+
+        const master = await download(masterUrl);
+        const logoUrl = row.get("logoUrl") || process.env.DEFAULT_LOGO_URL;
+        const logo = row.getBool("embedLogo") && logoUrl ? await download(logoUrl) : null;
+
+        const links = [];
+        for (const rendition of renditions) {
+          console.log(`Row ${rowIndex}: ${rendition.format.name} (${rendition.format.ratio}, ${rendition.mode})`);
+          const buffer = await renderRendition(master, logo, row, rendition);
+          const link = await assets.put(buffer, { name: `rendition_${rowIndex}_${rendition.format.name}.png`, mimeType: "image/png" });
+          links.push(`${rendition.format.name}: ${link}`);
+        }
+
+        row.set("renditionLinks", links.join("\n"));
+        await row.save();
+        await history.record(row, "renditionLinks", row.get("renditionLinks"), {
+          params: { master: masterUrl, renditions: row.get("renditions") },
+        });
+
+        console.log(`Row ${rowIndex}: ${links.length} rendition(s) stored`);
+      } catch (err) {
+        console.log(`Row ${rowIndex} failed: ${err.message}`);
+        // Transient failures are tried again on the next run
+        if (classifyError(err) !== "transient") {
+          row.set("renditionLinks", `Error: ${err.message}`);
+          await row.save();
+        }
+      }
+    } finally {
+      await releaseRow(row);
+    }
+  }
+
+  await storage.flush();
+  await history.flush();
+  console.log("All rows processed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -2,8 +2,11 @@
  * Full Rewritten 6.post2fbgen3.js
  * 
  * - Header-aware (dynamic width, supports any sheet column order)
- * - Skip rows already completed (PostStatus = posted/scheduled OR AllProcessComplete = yes)
- * - Media priority selection:
+ * - Only rows with Status = approved, or rendered with Post = yes, are published
+ * - Transient errors (timeouts, 5xx, rate limits) are retried on a later run;
+ *   only permanent ones fail the row and set AllProcessComplete = yes
+ * - Media priority selection (read through lib/assets, so stored image IDs,
+ *   Drive links and other URLs all work):
  *      1. NewImageLink
  *      2. ImageWithTextEmbedded
  *      3. ImageWithLogoEmbedded
@@ -11,16 +14,30 @@
  * - Strict DD/MM/YY date validation (month > 12 fails the row)
  * - IST → UTC unix timestamp conversion corrected
  * - Uses PAGE_TOKEN for posting (no APPID|APPSECRET posting)
+ * - Hashtags go through the hashtag policy (lib/hashtags.js); a set that
+ *   breaks a hard rule (banned tag, reused set) fails the row instead of posting
+ * - Caption, hashtags and TextContent are screened for brand safety
+ *   (lib/moderation.js); flagged rows move to review instead of being posted,
+ *   and Reviewed = yes posts them as they are
+ * - Photos carry AltText as their alt text, with the overlay text added when
+ *   it was printed on the image (lib/overlay.js)
  * - Heavy verbose logging
  * - No emojis
  */
 
 require("dotenv").config();
-const { google } = require("googleapis");
 const axios = require("axios");
-const path = require("path");
-const fs = require("fs").promises;
 const FormData = require("form-data");
+const { createStorage } = require("./lib/storage");
+const { createAssetStore } = require("./lib/assets");
+const { loadRows } = require("./lib/row");
+const { claimRow, releaseRow } = require("./lib/claims");
+const { getStatus, setStatus, failRow } = require("./lib/status");
+const { isDue, recordFailure, clearRetry } = require("./lib/retry");
+const { createBrands } = require("./lib/brands");
+const { hashtagPolicy, applyHashtagPolicy, checkHashtags, recentHashtags, formatHashtags } = require("./lib/hashtags");
+const { createModerator } = require("./lib/moderation");
+const { finalAltText } = require("./lib/overlay");
 
 /* ------------------- Logging Helper ------------------- */
 
@@ -32,47 +49,15 @@ function log(...args) {
   }
 }
 
-/* ------------------- Column Helper ------------------- */
+/* ------------------- Media Download ------------------- */
 
-function toColLetter(colIndex) {
-  let s = "";
-  let n = colIndex + 1;
-  while (n > 0) {
-    const r = (n - 1) % 26;
-    s = String.fromCharCode(65 + r) + s;
-    n = Math.floor((n - 1) / 26);
-  }
-  return s;
-}
-
-/* ------------------- Google Auth ------------------- */
-
-async function authenticateGoogle() {
-  log("Authenticating with Google API");
-  const token = JSON.parse(await fs.readFile(path.join(__dirname, "token.json"), "utf8"));
-  const credentials = JSON.parse(await fs.readFile(path.join(__dirname, "credentials.json"), "utf8"));
-
-  const { client_secret, client_id, redirect_uris } = credentials.installed || credentials.web;
-  const client = new google.auth.OAuth2(client_id, client_secret, redirect_uris[0]);
-
-  client.setCredentials(token);
-  log("Google authentication complete");
-  return client;
-}
-
-/* ------------------- Drive Download ------------------- */
+// Reads the media through the asset store (lib/assets): stored image IDs,
+// Drive links and plain URLs alike
+async function downloadMedia(assets, ref) {
+  log("Downloading file:", ref);
 
-async function downloadFileFromDrive(link) {
-  log("Downloading file:", link);
-
-  const match = link.match(/\/file\/d\/([A-Za-z0-9_-]+)/) || link.match(/id=([A-Za-z0-9_-]+)/);
-  if (!match) throw new Error("Invalid Google Drive link format");
-
-  const fileId = match[1];
-  const url = `https://drive.google.com/uc?export=download&id=${fileId}`;
-
-  const res = await axios.get(url, { responseType: "arraybuffer", timeout: 180000 });
-  const type = res.headers["content-type"] || "";
+  const { buffer, mimeType } = await assets.get(ref);
+  const type = mimeType || "";
 
   log("Downloaded content-type:", type);
 
@@ -80,12 +65,12 @@ async function downloadFileFromDrive(link) {
     throw new Error("Unsupported file type: " + type);
   }
 
-  return { data: res.data, contentType: type };
+  return { data: buffer, contentType: type };
 }
 
 /* ------------------- Facebook Posting ------------------- */
 
-async function postPhotoToFacebook(pageId, pageToken, fileData, contentType, message, scheduled, publishTime) {
+async function postPhotoToFacebook(pageId, pageToken, fileData, contentType, message, altText, scheduled, publishTime) {
   const url = `https://graph.facebook.com/v18.0/${pageId}/photos`;
   log("Posting photo →", url);
 
@@ -93,6 +78,7 @@ async function postPhotoToFacebook(pageId, pageToken, fileData, contentType, mes
   form.append("source", fileData, { filename: "img.jpg", contentType });
   form.append("message", message);
   form.append("access_token", pageToken);
+  if (altText) form.append("alt_text_custom", altText);
 
   if (scheduled) {
     form.append("published", "false");
@@ -171,230 +157,288 @@ async function main() {
 
   const PAGE_ID = process.env.PAGE_ID;
   const PAGE_TOKEN = process.env.PAGE_TOKEN;
-  const SHEET_URL = process.env.SHEET_URL;
   const DRY_RUN = process.argv.includes("--dry-run");
 
-  if (!SHEET_URL) {
-    log("Missing SHEET_URL. Exiting.");
-    return;
-  }
-
-  const auth = await authenticateGoogle();
-  const sheets = google.sheets({ version: "v4", auth });
-
-  const match = SHEET_URL.match(/\/d\/([A-Za-z0-9_-]+)/);
-  if (!match) {
-    log("Invalid Google Sheet URL.");
+  let storage;
+  try {
+    storage = createStorage();
+  } catch (err) {
+    log(`${err.message}. Exiting.`);
     return;
   }
-  const sheetId = match[1];
 
-  log("Fetching full sheet...");
-  const res = await sheets.spreadsheets.values.get({
-    spreadsheetId: sheetId,
-    range: "Sheet1"
-  });
+  log("Fetching full sheet from", storage.name);
+  const { headers, rows } = await loadRows(storage);
 
-  const rows = res.data.values || [];
-  if (!rows.length) {
+  if (!headers.length) {
     log("Sheet is empty.");
     return;
   }
 
-  const headers = rows[0].map(h => String(h).trim());
-  const headerIndex = {};
-  headers.forEach((h, i) => headerIndex[h] = i);
-
   log("Headers detected:", headers);
 
-  const get = (row, name) => {
-    const idx = headerIndex[name];
-    return idx !== undefined && row[idx] != null ? String(row[idx]).trim() : "";
-  };
+  const brands = createBrands();
+  const moderator = createModerator();
+  const assets = createAssetStore();
 
   // Helper for immediate updates
-  const updateSheet = async (rowNum, colName, value) => {
-    if (!(colName in headerIndex)) return;
-    const range = `Sheet1!${toColLetter(headerIndex[colName])}${rowNum}`;
+  const updateSheet = async (row, key, value) => {
+    if (!row.has(key)) return;
     try {
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: sheetId,
-        range: range,
-        valueInputOption: "RAW",
-        requestBody: { values: [[value]] }
-      });
-      // log(`Updated ${colName} for row ${rowNum} -> ${value}`);
+      if (row.get(key) !== String(value)) row.set(key, value);
+      await row.save();
+      // log(`Updated ${key} for row ${row.rowNumber} -> ${value}`);
     } catch (e) {
-      log(`Failed to update sheet (${colName}):`, e.message);
+      log(`Failed to update sheet (${key}):`, e.message);
     }
   };
 
-  for (let i = 1; i < rows.length; i++) {
-    const row = rows[i];
-    const rowNum = i + 1;
+  for (const row of rows) {
+    const rowNum = row.rowNumber;
 
     log("---------------------------------------------------");
     log("Processing row:", rowNum);
 
-    const postFlag = get(row, "Post(yes/no)").toLowerCase();
-    const postStatus = get(row, "PostStatus").toLowerCase();
-    const allDone = get(row, "AllProcessComplete").toLowerCase();
+    const status = getStatus(row);
 
-    // Skip if completed earlier
-    if (postStatus === "posted" || postStatus === "scheduled" || allDone === "yes") {
-      log("Row already complete. Skipping.");
-      continue;
-    }
+    // Reviewed=yes alone releases a flagged row; it goes out as it is
+    const released = status === "review" && row.getBool("reviewed");
 
-    // If user set Post=no
-    if (postFlag !== "yes") {
-      log("Post=no detected. Marking as complete.");
-      await updateSheet(rowNum, "PostStatus", "Post turned off");
-      await updateSheet(rowNum, "AllProcessComplete", "yes");
+    // Only finished images that are approved (by Status or Post=yes) or released from review go out
+    if (status !== "rendered" && status !== "approved" && !released) {
+      log(`Status is ${status}. Skipping.`);
       continue;
     }
 
-    // If Facebook env missing, skip row
-    if (!PAGE_ID || !PAGE_TOKEN) {
-      log("Missing PAGE_ID or PAGE_TOKEN. Skipping this row.");
-      await updateSheet(rowNum, "PostStatus", "no env vars set, exiting");
-      await updateSheet(rowNum, "AllProcessComplete", "yes");
+    if (!isDue(row)) {
+      log(`Waiting to retry at ${row.get("nextRetryAt")}. Skipping.`);
       continue;
     }
 
-    const caption = get(row, "Caption");
-    const hashtags = get(row, "Hashtags");
-    const postDate = get(row, "PostDate(DD/MM/YY)");
-    const postTime = get(row, "PostTime(HH:MM AM/PM)");
+    // Claimed before anything is written, and the claim re-reads the row, so
+    // one published by another run meanwhile is skipped
+    if (!(await claimRow(storage, row, { status }))) continue;
 
-    if (!caption) {
-      log("Caption missing. Failing row.");
-      await updateSheet(rowNum, "PostStatus", "failed: caption blank");
-      await updateSheet(rowNum, "AllProcessComplete", "yes");
-      continue;
-    }
+    try {
+      // If user set Post=no
+      if (status === "rendered" && row.get("post").toLowerCase() !== "yes") {
+        log("Post=no detected. Leaving row unpublished.");
+        await updateSheet(row, "postStatus", "Post turned off");
+        continue;
+      }
 
-    if (!hashtags) {
-      log("Hashtags missing. Failing row.");
-      await updateSheet(rowNum, "PostStatus", "failed: hashtags blank");
-      await updateSheet(rowNum, "AllProcessComplete", "yes");
-      continue;
-    }
+      // If Facebook env missing, skip row
+      if (!PAGE_ID || !PAGE_TOKEN) {
+        log("Missing PAGE_ID or PAGE_TOKEN. Skipping this row.");
+        await updateSheet(row, "postStatus", "no env vars set, exiting");
+        continue;
+      }
 
-    if (!postDate || !postTime) {
-      log("Missing date/time. Failing row.");
-      await updateSheet(rowNum, "PostStatus", "failed: missing date/time");
-      await updateSheet(rowNum, "AllProcessComplete", "yes");
-      continue;
-    }
+      const caption = row.get("caption");
+      const hashtags = row.get("hashtags");
+      const postDate = row.get("postDate");
+      const postTime = row.get("postTime");
+
+      if (!caption) {
+        log("Caption missing. Failing row.");
+        failRow(row, "posted", "caption blank");
+        await updateSheet(row, "postStatus", "failed: caption blank");
+        await updateSheet(row, "allProcessComplete", "yes");
+        continue;
+      }
 
-    // Validate date format DD/MM
-    const dateParts = postDate.split("/");
-    if (dateParts.length !== 3) {
-      log("Invalid date format.");
-      await updateSheet(rowNum, "PostStatus", "failed: invalid date format");
-      await updateSheet(rowNum, "AllProcessComplete", "yes");
-      continue;
-    }
+      if (!hashtags) {
+        log("Hashtags missing. Failing row.");
+        failRow(row, "posted", "hashtags blank");
+        await updateSheet(row, "postStatus", "failed: hashtags blank");
+        await updateSheet(row, "allProcessComplete", "yes");
+        continue;
+      }
 
-    const dd = parseInt(dateParts[0]);
-    const mm = parseInt(dateParts[1]);
-    if (mm > 12) {
-      log("Invalid month > 12. Rejecting date.");
-      await updateSheet(rowNum, "PostStatus", "failed: invalid date format");
-      await updateSheet(rowNum, "AllProcessComplete", "yes");
-      continue;
-    }
+      // Casing, brand tags, overused tags and the platform maximum are fixed here; hard rules block the post
+      const brand = await brands.get(row.get("company"));
+      const policy = hashtagPolicy(brand);
+      const tags = applyHashtagPolicy(hashtags, policy);
+      const hashtagProblems = checkHashtags(tags, policy, recentHashtags(rows, row));
+
+      if (hashtagProblems.length) {
+        log("Hashtag policy broken:", hashtagProblems.join("; "));
+        failRow(row, "posted", `hashtags: ${hashtagProblems.join("; ")}`);
+        await updateSheet(row, "postStatus", "failed: hashtag policy");
+        await updateSheet(row, "allProcessComplete", "yes");
+        continue;
+      }
 
-    // Media priority select
-    const mediaLinks = [
-      get(row, "NewImageLink"),
-      get(row, "ImageWithTextEmbedded"),
-      get(row, "ImageWithLogoEmbedded"),
-      get(row, "GenImage")
-    ];
-
-    const media = mediaLinks.find(x => x);
-    if (!media) {
-      log("No media found. Failing row.");
-      await updateSheet(rowNum, "PostStatus", "failed: no media link");
-      await updateSheet(rowNum, "AllProcessComplete", "yes");
-      continue;
-    }
+      // What goes out, screened below exactly as published
+      const publishedTags = formatHashtags(tags);
+      const message = `${caption} ${publishedTags}`.trim();
 
-    log("Selected media:", media);
+      if (!postDate || !postTime) {
+        log("Missing date/time. Failing row.");
+        failRow(row, "posted", "missing date/time");
+        await updateSheet(row, "postStatus", "failed: missing date/time");
+        await updateSheet(row, "allProcessComplete", "yes");
+        continue;
+      }
 
-    // Download
-    let fileData, contentType;
-    try {
-      const d = await downloadFileFromDrive(media);
-      fileData = d.data;
-      contentType = d.contentType;
-    } catch (err) {
-      log("Download error:", err.message);
-      await updateSheet(rowNum, "PostStatus", "failed: download error");
-      await updateSheet(rowNum, "AllProcessComplete", "yes");
-      continue;
-    }
+      // Validate date format DD/MM
+      const dateParts = postDate.split("/");
+      if (dateParts.length !== 3) {
+        log("Invalid date format.");
+        failRow(row, "posted", "invalid date format");
+        await updateSheet(row, "postStatus", "failed: invalid date format");
+        await updateSheet(row, "allProcessComplete", "yes");
+        continue;
+      }
 
-    // Compute publish timestamp
-    let publishUnix;
-    try {
-      publishUnix = convertISTToUTCUnix(postDate, postTime);
-    } catch (err) {
-      log("Date conversion error:", err.message);
-      await updateSheet(rowNum, "PostStatus", "failed: invalid date/time");
-      await updateSheet(rowNum, "AllProcessComplete", "yes");
-      continue;
-    }
+      const dd = parseInt(dateParts[0]);
+      const mm = parseInt(dateParts[1]);
+      if (mm > 12) {
+        log("Invalid month > 12. Rejecting date.");
+        failRow(row, "posted", "invalid date format");
+        await updateSheet(row, "postStatus", "failed: invalid date format");
+        await updateSheet(row, "allProcessComplete", "yes");
+        continue;
+      }
 
-    const nowUnix = Math.floor(Date.now() / 1000);
-    const shouldSchedule = publishUnix - nowUnix > 600;
+      // Media priority select
+      const mediaLinks = [
+        row.get("newImageLink"),
+        row.get("imageWithText"),
+        row.get("imageWithLogo"),
+        row.get("genImage")
+      ];
+
+      const media = mediaLinks.find(x => x);
+      if (!media) {
+        log("No media found. Failing row.");
+        failRow(row, "posted", "no media link");
+        await updateSheet(row, "postStatus", "failed: no media link");
+        await updateSheet(row, "allProcessComplete", "yes");
+        continue;
+      }
 
-    const isImage = contentType.startsWith("image/");
-    const isVideo = contentType.startsWith("video/");
-    const message = `${caption} ${hashtags}`.trim();
+      // Brand-safety screen; a person has the last word on anything flagged
+      if (!row.getBool("reviewed")) {
+        let screen;
+        try {
+          screen = await moderator.screen(row, brand, { caption, hashtags: publishedTags });
+        } catch (err) {
+          log("Moderation error:", err.message);
+          const outcome = recordFailure(row, "posted", err, `moderation error: ${err.message}`);
+          await updateSheet(row, "postStatus", outcome === "retry" ? "retrying: moderation error" : "failed: moderation error");
+          if (outcome === "failed") await updateSheet(row, "allProcessComplete", "yes");
+          continue;
+        }
+
+        if (screen.flagged) {
+          log("Flagged for review:", screen.issues.join("; "));
+          if (DRY_RUN) {
+            await updateSheet(row, "postStatus", "dry-run: flagged for review");
+          } else {
+            setStatus(row, "review", screen.issues.join("; "));
+            await updateSheet(row, "postStatus", "review: flagged");
+          }
+          continue;
+        }
+      }
 
-    if (DRY_RUN) {
-      log("Dry-run mode. Would", shouldSchedule ? "schedule" : "post now");
-      await updateSheet(rowNum, "PostStatus", `dry-run: ${shouldSchedule ? "scheduled" : "posted"}`);
-      continue;
-    }
+      log("Selected media:", media);
+
+      // Download
+      let fileData, contentType;
+      try {
+        const d = await downloadMedia(assets, media);
+        fileData = d.data;
+        contentType = d.contentType;
+      } catch (err) {
+        log("Download error:", err.message);
+        const outcome = recordFailure(row, "posted", err, `download error: ${err.message}`);
+        await updateSheet(row, "postStatus", outcome === "retry" ? "retrying: download error" : "failed: download error");
+        if (outcome === "failed") await updateSheet(row, "allProcessComplete", "yes");
+        continue;
+      }
 
-    try {
-      if (shouldSchedule) {
-        log("Scheduling post...");
-        if (isImage)
-          await postPhotoToFacebook(PAGE_ID, PAGE_TOKEN, fileData, contentType, message, true, publishUnix);
-        else
-          await postVideoToFacebook(PAGE_ID, PAGE_TOKEN, fileData, contentType, message, true, publishUnix);
-
-        await updateSheet(rowNum, "PostStatus", "scheduled");
-
-      } else {
-        log("Posting now...");
-        if (isImage)
-          await postPhotoToFacebook(PAGE_ID, PAGE_TOKEN, fileData, contentType, message, false);
-        else
-          await postVideoToFacebook(PAGE_ID, PAGE_TOKEN, fileData, contentType, message, false);
-
-        await updateSheet(rowNum, "PostStatus", "posted");
+      // Compute publish timestamp
+      let publishUnix;
+      try {
+        publishUnix = convertISTToUTCUnix(postDate, postTime);
+      } catch (err) {
+        log("Date conversion error:", err.message);
+        failRow(row, "posted", `invalid date/time: ${err.message}`);
+        await updateSheet(row, "postStatus", "failed: invalid date/time");
+        await updateSheet(row, "allProcessComplete", "yes");
+        continue;
       }
 
-      await updateSheet(rowNum, "AllProcessComplete", "yes");
+      const nowUnix = Math.floor(Date.now() / 1000);
+      const shouldSchedule = publishUnix - nowUnix > 600;
 
-    } catch (err) {
-      log("Posting error:", err.message);
-      if (err.response && err.response.data) {
-        log("FB API error:", JSON.stringify(err.response.data, null, 2));
+      const isImage = contentType.startsWith("image/");
+      const isVideo = contentType.startsWith("video/");
+      const altText = finalAltText(row.get("altText"), row.getBool("embedText") ? row.get("textContent") : "");
+      if (isImage) log("Alt text:", altText || "(none)");
+
+      if (DRY_RUN) {
+        log("Dry-run mode. Would", shouldSchedule ? "schedule" : "post now");
+        await updateSheet(row, "postStatus", `dry-run: ${shouldSchedule ? "scheduled" : "posted"}`);
+        continue;
       }
 
-      const fbMsg = err.response?.data?.error?.message || err.message;
-      await updateSheet(rowNum, "PostStatus", `failed: ${String(fbMsg).slice(0, 200)}`);
-      await updateSheet(rowNum, "AllProcessComplete", "yes");
+      if (status === "rendered" || released) setStatus(row, "approved");
+      if (publishedTags !== hashtags) row.set("hashtags", publishedTags);
+
+      try {
+        if (shouldSchedule) {
+          log("Scheduling post...");
+          if (isImage)
+            await postPhotoToFacebook(PAGE_ID, PAGE_TOKEN, fileData, contentType, message, altText, true, publishUnix);
+          else
+            await postVideoToFacebook(PAGE_ID, PAGE_TOKEN, fileData, contentType, message, true, publishUnix);
+
+          clearRetry(row);
+          setStatus(row, "scheduled");
+          await updateSheet(row, "postStatus", "scheduled");
+
+        } else {
+          log("Posting now...");
+          if (isImage)
+            await postPhotoToFacebook(PAGE_ID, PAGE_TOKEN, fileData, contentType, message, altText, false);
+          else
+            await postVideoToFacebook(PAGE_ID, PAGE_TOKEN, fileData, contentType, message, false);
+
+          clearRetry(row);
+          setStatus(row, "posted");
+          await updateSheet(row, "postStatus", "posted");
+        }
+
+        await updateSheet(row, "allProcessComplete", "yes");
+
+      } catch (err) {
+        log("Posting error:", err.message);
+        if (err.response && err.response.data) {
+          log("FB API error:", JSON.stringify(err.response.data, null, 2));
+        }
+
+        const fbMsg = String(err.response?.data?.error?.message || err.message).slice(0, 200);
+        const outcome = recordFailure(row, shouldSchedule ? "scheduled" : "posted", err, fbMsg);
+        if (outcome === "retry") {
+          log("Transient error. Will retry at", row.get("nextRetryAt") || "next run");
+          await updateSheet(row, "postStatus", `retrying: ${fbMsg}`);
+        } else {
+          await updateSheet(row, "postStatus", `failed: ${fbMsg}`);
+          await updateSheet(row, "allProcessComplete", "yes");
+        }
+      }
+    } finally {
+      await releaseRow(row);
     }
+
+    // Don't leave a published post's status sitting in the write buffer
+    await storage.flush();
   }
 
+  await storage.flush();
   log("Script complete.");
 }
 
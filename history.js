@@ -0,0 +1,101 @@
+/**
+ * history.js - Browse and restore earlier captions, hashtags, prompts and images
+ *
+ * Usage:
+ *   node history.js list 5                  # all versions for sheet row 5 (or a RowId)
+ *   node history.js list 5 caption          # only captions
+ *   node history.js restore <HistoryId>     # put that version back into the plan
+ *   node history.js list 5 --workspace acme # with workspace.json
+ *
+ * Fields: caption, hashtags, imagePrompt, altText, textContent, renditionLinks,
+ *         genImage, imageWithLogo, imageWithText
+ */
+
+require("dotenv").config();
+const { createStorage } = require("./lib/storage");
+const { loadRows } = require("./lib/row");
+const { createHistory, FIELDS } = require("./lib/history");
+const { loadWorkspaces, storageOptions } = require("./lib/workspace");
+
+function parseArguments() {
+  const args = process.argv.slice(2);
+  let workspace = null;
+
+  const wsIdx = args.indexOf("--workspace");
+  if (wsIdx !== -1) {
+    workspace = args[wsIdx + 1];
+    args.splice(wsIdx, 2);
+  }
+
+  const [command, target, field] = args;
+  return { command, target, field, workspace };
+}
+
+function planOptions(name) {
+  const workspaces = loadWorkspaces();
+  if (!workspaces.length) return {};
+
+  if (!name) {
+    if (workspaces.length === 1) return storageOptions(workspaces[0]);
+    throw new Error(`Several workspaces configured. Pick one with --workspace (${workspaces.map((w) => w.name).join(", ")})`);
+  }
+
+  const ws = workspaces.find((w) => w.name === name);
+  if (!ws) throw new Error(`Workspace "${name}" not found in workspace.json`);
+  return storageOptions(ws);
+}
+
+// Accepts a sheet row number or a RowId
+async function resolveRowId(storage, target) {
+  if (!/^\d+$/.test(target)) return target;
+
+  const { rows } = await loadRows(storage);
+  const row = rows.find((r) => r.rowNumber === Number(target));
+  if (!row || !row.id) throw new Error(`Row ${target} not found or has no RowId yet`);
+  return row.id;
+}
+
+function shorten(value, max = 80) {
+  const text = String(value).replace(/\s+/g, " ");
+  return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+}
+
+async function main() {
+  const { command, target, field, workspace } = parseArguments();
+
+  if (!["list", "restore"].includes(command) || !target) {
+    console.log("Usage: node history.js list <row|RowId> [field] | restore <HistoryId> [--workspace NAME]");
+    process.exit(command ? 1 : 0);
+  }
+
+  try {
+    const options = planOptions(workspace);
+    const storage = createStorage(options);
+    const history = createHistory(options);
+
+    if (command === "list") {
+      if (field && !FIELDS.includes(field)) throw new Error(`Unknown field "${field}". Use one of: ${FIELDS.join(", ")}`);
+
+      const rowId = await resolveRowId(storage, target);
+      const entries = await history.list({ rowId, field });
+
+      if (!entries.length) {
+        console.log(`No history for row ${target}.`);
+        return;
+      }
+
+      entries.forEach((e) => {
+        console.log(`${e.HistoryId}  ${e.Timestamp}  ${e.Field.padEnd(13)}  ${e.Model || "-"}  ${shorten(e.Value)}`);
+      });
+      return;
+    }
+
+    const { row, entry } = await history.restore(storage, target);
+    console.log(`Restored ${entry.Field} from ${entry.Timestamp} into row ${row.rowNumber}.`);
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,96 @@
+/**
+ * lib/assets/drive.js - Images in a Google Drive folder
+ *
+ * Files go into DRIVE_FOLDER (default AutoFb), created on first use, and stay
+ * private to the account in token.json unless links are published. Keys are
+ * Drive file IDs. Drive links pasted into the plan by hand are read through
+ * the Drive API too, or as a public download when there are no credentials.
+ */
+
+const stream = require("stream");
+const { getDrive } = require("../google");
+
+function driveFileId(url) {
+  const text = String(url || "");
+  if (!/^https?:\/\/(drive|docs)\.google\.com\//.test(text)) return null;
+  const match = text.match(/\/d\/([a-zA-Z0-9_-]+)/) || text.match(/[?&]id=([a-zA-Z0-9_-]+)/);
+  return match ? match[1] : null;
+}
+
+function createDriveAssets({ folder, timeoutMs }) {
+  let drive = null;
+  let folderId = null;
+
+  function client() {
+    if (!drive) drive = getDrive();
+    return drive;
+  }
+
+  async function getFolderId() {
+    if (folderId) return folderId;
+
+    const res = await client().files.list({
+      q: `name='${folder.replace(/'/g, "\\'")}' and mimeType='application/vnd.google-apps.folder' and trashed=false`,
+      fields: "files(id)",
+    });
+
+    if (res.data.files.length > 0) {
+      folderId = res.data.files[0].id;
+    } else {
+      console.log(`Drive folder ${folder} not found. Creating.`);
+      const created = await client().files.create({
+        requestBody: { name: folder, mimeType: "application/vnd.google-apps.folder" },
+        fields: "id",
+      });
+      folderId = created.data.id;
+    }
+
+    return folderId;
+  }
+
+  async function put(buffer, { name, mimeType }) {
+    const body = new stream.PassThrough();
+    body.end(buffer);
+
+    const file = await client().files.create({
+      requestBody: { name, parents: [await getFolderId()] },
+      media: { mimeType, body },
+      fields: "id",
+    });
+    return file.data.id;
+  }
+
+  // Files shared with anyone who has the link can be read without credentials
+  async function publicDownload(fileId) {
+    const res = await fetch(`https://drive.google.com/uc?export=download&id=${fileId}`, {
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) throw Object.assign(new Error(`Drive download failed with status ${res.status}`), { status: res.status });
+    return { buffer: Buffer.from(await res.arrayBuffer()), mimeType: res.headers.get("content-type") || "" };
+  }
+
+  async function get(fileId) {
+    let api;
+    try {
+      api = client();
+    } catch (err) {
+      console.log(`${err.message} Trying a public download.`);
+      return publicDownload(fileId);
+    }
+
+    const res = await api.files.get({ fileId, alt: "media" }, { responseType: "arraybuffer", timeout: timeoutMs });
+    return { buffer: Buffer.from(res.data), mimeType: res.headers?.["content-type"] || "" };
+  }
+
+  async function publish(fileId) {
+    await client().permissions.create({
+      fileId,
+      requestBody: { role: "reader", type: "anyone" },
+    });
+    return `https://drive.google.com/file/d/${fileId}/view?usp=drivesdk`;
+  }
+
+  return { name: `drive:${folder}`, put, get, publish, keyFromUrl: driveFileId };
+}
+
+module.exports = { createDriveAssets, driveFileId };
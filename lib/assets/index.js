@@ -0,0 +1,131 @@
+/**
+ * lib/assets - Where generated images are kept, selected by config
+ *
+ * ASSET_BACKEND      = drive (default) | local | s3
+ * ASSET_DIR          = directory of the local backend (default data/assets)
+ * DRIVE_FOLDER       = Drive folder of the drive backend (default AutoFb)
+ * ASSET_S3_*         = bucket settings of the s3 backend, see s3.js
+ * ASSET_PUBLIC_LINKS = yes to publish every stored image (default no)
+ * ASSET_PUBLIC_URL   = base URL the local or s3 files are served from
+ *
+ * The plan refers to stored images by stable IDs: drive:<file id>,
+ * local:<path under ASSET_DIR> or s3:<object key>. Nothing is shared unless
+ * ASSET_PUBLIC_LINKS is on; the cell then holds the public link instead
+ * (Drive files readable by anyone with the link, ASSET_PUBLIC_URL/<key> for
+ * the others).
+ *
+ * get() reads any of these back, whichever backend is configured now, as well
+ * as Drive links and other image URLs typed into the plan by hand.
+ */
+
+const path = require("path");
+const { createDriveAssets } = require("./drive");
+const { createLocalAssets } = require("./local");
+const { createS3Assets } = require("./s3");
+const { numberSetting } = require("../settings");
+
+const ROOT = path.join(__dirname, "..", "..");
+const TRUE_VALUES = ["yes", "y", "true", "1"];
+
+function resolveOptions(options = {}) {
+  const backend = String(options.backend || process.env.ASSET_BACKEND || "drive")
+    .trim()
+    .toLowerCase();
+  const publicLinks =
+    options.publicLinks ?? TRUE_VALUES.includes(String(process.env.ASSET_PUBLIC_LINKS || "").toLowerCase());
+  const publicUrl = (options.publicUrl || process.env.ASSET_PUBLIC_URL || "").replace(/\/+$/, "");
+
+  return {
+    backend,
+    publicLinks,
+    publicUrl,
+    timeoutMs: numberSetting("ASSET_TIMEOUT_MS", 180000),
+    folder: options.folder || process.env.DRIVE_FOLDER || "AutoFb",
+    dir: path.resolve(ROOT, options.dir || process.env.ASSET_DIR || path.join("data", "assets")),
+    bucket: options.bucket || process.env.ASSET_S3_BUCKET,
+    endpoint: process.env.ASSET_S3_ENDPOINT || undefined,
+    region: process.env.ASSET_S3_REGION || "us-east-1",
+    accessKeyId: process.env.ASSET_S3_ACCESS_KEY,
+    secretAccessKey: process.env.ASSET_S3_SECRET_KEY,
+    prefix: (options.prefix || process.env.ASSET_S3_PREFIX || "").replace(/^\/+/, ""),
+  };
+}
+
+function open(backend, settings) {
+  switch (backend) {
+    case "drive":
+      return createDriveAssets(settings);
+    case "local":
+      return createLocalAssets(settings);
+    case "s3":
+      return createS3Assets(settings);
+    default:
+      throw new Error(`Unknown ASSET_BACKEND "${backend}". Use drive, local or s3.`);
+  }
+}
+
+// "s3:2026/10/ab12cd34-final_3.png" -> { backend: "s3", key: "2026/10/ab12cd34-final_3.png" }
+function parseRef(value) {
+  const match = String(value || "").trim().match(/^(drive|local|s3):(?!\/\/)(.+)$/);
+  return match ? { backend: match[1], key: match[2] } : null;
+}
+
+function isUrl(value) {
+  return /^https?:\/\//i.test(String(value || "").trim());
+}
+
+async function fetchUrl(url, timeoutMs) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!res.ok) throw Object.assign(new Error(`Download of ${url} failed with status ${res.status}`), { status: res.status });
+  return { buffer: Buffer.from(await res.arrayBuffer()), mimeType: res.headers.get("content-type") || "" };
+}
+
+function createAssetStore(options = {}) {
+  const settings = resolveOptions(options);
+  if (settings.publicLinks && settings.backend !== "drive" && !settings.publicUrl) {
+    throw new Error(`ASSET_PUBLIC_LINKS with ASSET_BACKEND=${settings.backend} needs ASSET_PUBLIC_URL`);
+  }
+
+  // Other backends are opened when an ID of theirs turns up, so a local or
+  // s3 setup never needs Google credentials unless it reads an old drive: ID
+  const opened = { [settings.backend]: open(settings.backend, settings) };
+  function backend(name) {
+    if (!opened[name]) opened[name] = open(name, settings);
+    return opened[name];
+  }
+
+  // Stores the image and returns what goes into the plan cell
+  async function put(buffer, { name, mimeType = "image/png" }) {
+    const store = backend(settings.backend);
+    const key = await store.put(buffer, { name, mimeType });
+    if (settings.publicLinks) {
+      const link = await store.publish(key);
+      if (link) return link;
+    }
+    return `${settings.backend}:${key}`;
+  }
+
+  // Bytes and content type of a stored image, a published link or any image URL
+  async function get(value) {
+    const ref = parseRef(value);
+    if (ref) return backend(ref.backend).get(ref.key);
+
+    const text = String(value || "").trim();
+    if (!isUrl(text)) throw new Error(`"${text}" is not an asset ID or a link`);
+
+    // Published links of the configured backend are read back from the store itself
+    for (const name of new Set([settings.backend, "drive"])) {
+      const key = backend(name).keyFromUrl(text);
+      if (key) return backend(name).get(key);
+    }
+    return fetchUrl(text, settings.timeoutMs);
+  }
+
+  return { name: opened[settings.backend].name, publicLinks: settings.publicLinks, put, get };
+}
+
+function isAssetRef(value) {
+  return parseRef(value) !== null;
+}
+
+module.exports = { createAssetStore, isAssetRef, parseRef };
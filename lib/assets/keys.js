@@ -0,0 +1,30 @@
+/**
+ * lib/assets/keys.js - Object keys and file types shared by the local and S3 stores
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+
+const MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+  ".mp4": "video/mp4",
+  ".mov": "video/quicktime",
+};
+
+// "final_3.png" -> "2026/10/1a2b3c4d-final_3.png"
+function uniqueKey(name) {
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, "0");
+  const safe = String(name || "asset").replace(/[^a-zA-Z0-9._-]/g, "_");
+  return `${now.getUTCFullYear()}/${month}/${crypto.randomBytes(4).toString("hex")}-${safe}`;
+}
+
+function mimeTypeFor(key) {
+  return MIME_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+}
+
+module.exports = { uniqueKey, mimeTypeFor };
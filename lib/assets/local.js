@@ -0,0 +1,47 @@
+/**
+ * lib/assets/local.js - Images in a local directory
+ *
+ * Files go into ASSET_DIR (default data/assets) as YYYY/MM/<id>-<name>; the
+ * key is that relative path. Nothing is published on its own: with
+ * ASSET_PUBLIC_URL set to where a web server serves ASSET_DIR, published
+ * links are that URL plus the key.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { uniqueKey, mimeTypeFor } = require("./keys");
+
+function createLocalAssets({ dir, publicUrl }) {
+  // Keys are relative paths that must stay inside the directory
+  function filePath(key) {
+    const resolved = path.resolve(dir, key);
+    if (!resolved.startsWith(path.resolve(dir) + path.sep)) throw new Error(`Invalid asset key "${key}"`);
+    return resolved;
+  }
+
+  async function put(buffer, { name }) {
+    const key = uniqueKey(name);
+    const target = filePath(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, buffer);
+    return key;
+  }
+
+  async function get(key) {
+    const target = filePath(key);
+    if (!fs.existsSync(target)) throw new Error(`Asset ${key} not found in ${dir}`);
+    return { buffer: await fs.promises.readFile(target), mimeType: mimeTypeFor(key) };
+  }
+
+  async function publish(key) {
+    return publicUrl ? `${publicUrl}/${key}` : null;
+  }
+
+  function keyFromUrl(url) {
+    return publicUrl && String(url).startsWith(`${publicUrl}/`) ? decodeURIComponent(url.slice(publicUrl.length + 1)) : null;
+  }
+
+  return { name: `local:${dir}`, put, get, publish, keyFromUrl };
+}
+
+module.exports = { createLocalAssets };
@@ -0,0 +1,65 @@
+/**
+ * lib/assets/s3.js - Images in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+ *
+ *   ASSET_S3_BUCKET       bucket name (required)
+ *   ASSET_S3_ENDPOINT     for anything but AWS, e.g. http://localhost:9000 for MinIO;
+ *                         paths are then bucket/key instead of bucket.host/key
+ *   ASSET_S3_REGION       default us-east-1
+ *   ASSET_S3_ACCESS_KEY,  credentials; without them the AWS SDK looks in its
+ *   ASSET_S3_SECRET_KEY   usual places (AWS_ACCESS_KEY_ID, ~/.aws, ...)
+ *   ASSET_S3_PREFIX       key prefix, e.g. autofb/
+ *   ASSET_TIMEOUT_MS      per request, default 180000
+ *
+ * Keys are YYYY/MM/<id>-<name> under the prefix. Objects are private; a
+ * published link is ASSET_PUBLIC_URL plus the key, so the bucket (or a CDN in
+ * front of it) has to allow public reads under that URL.
+ */
+
+const { uniqueKey, mimeTypeFor } = require("./keys");
+
+function createS3Assets({ bucket, endpoint, region, accessKeyId, secretAccessKey, prefix, publicUrl, timeoutMs }) {
+  if (!bucket) throw new Error("ASSET_BACKEND=s3 needs ASSET_S3_BUCKET");
+
+  // Loaded lazily so the Drive and local backends don't pay for the AWS SDK
+  const { S3Client, PutObjectCommand, GetObjectCommand } = require("@aws-sdk/client-s3");
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  async function send(command) {
+    try {
+      return await client.send(command, { abortSignal: AbortSignal.timeout(timeoutMs) });
+    } catch (err) {
+      // lib/retry looks for the HTTP status in err.status
+      if (!err.status && err.$metadata?.httpStatusCode) err.status = err.$metadata.httpStatusCode;
+      throw err;
+    }
+  }
+
+  async function put(buffer, { name, mimeType }) {
+    const key = `${prefix}${uniqueKey(name)}`;
+    await send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: mimeType }));
+    return key;
+  }
+
+  async function get(key) {
+    const res = await send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return { buffer: Buffer.from(await res.Body.transformToByteArray()), mimeType: res.ContentType || mimeTypeFor(key) };
+  }
+
+  async function publish(key) {
+    return publicUrl ? `${publicUrl}/${key}` : null;
+  }
+
+  function keyFromUrl(url) {
+    return publicUrl && String(url).startsWith(`${publicUrl}/`) ? decodeURIComponent(url.slice(publicUrl.length + 1)) : null;
+  }
+
+  return { name: `s3:${bucket}`, put, get, publish, keyFromUrl };
+}
+
+module.exports = { createS3Assets };
@@ -0,0 +1,225 @@
+/**
+ * lib/brands.js - Brand profiles per Company
+ *
+ * Profiles come from brands.json (BRANDS_FILE) when it exists, otherwise from
+ * a "Brands" tab next to the plan (BRANDS_TAB; plan.brands.csv/json for the
+ * file backends). One entry per company:
+ *
+ *   {
+ *     "brands": [
+ *       {
+ *         "company": "Acme Coffee",
+ *         "website": "https://acme.example",
+ *         "voice": "Warm, plain-spoken, a little playful",
+ *         "audience": "Commuters and remote workers in Leeds",
+ *         "bannedWords": ["cheap", "best ever"],
+ *         "ctaStyle": "Soft invitation to drop by, never 'buy now'",
+ *         "requiredCta": ["drop by", "see you"],
+ *         "emojiPolicy": "At most one, at the end",
+ *         "examplePosts": ["Monday called. We answered with a flat white."],
+ *         "hashtags": ["#AcmeCoffee"],
+ *         "bannedHashtags": ["#cheapcoffee"],
+ *         "bannedClaims": ["organic"],
+ *         "competitors": ["Bean Machine"],
+ *         "languages": ["en", "hi"],
+ *         "prompts": { "caption": "..." }
+ *       }
+ *     ]
+ *   }
+ *
+ * In the tab the columns are Company, Website, Voice, Audience, BannedWords
+ * (comma separated), CTAStyle, RequiredCTA (comma separated; the caption must
+ * contain one), EmojiPolicy, ExamplePosts (one per line), BrandHashtags (added
+ * to every post), BannedHashtags (see lib/hashtags.js), BannedClaims and
+ * Competitors (comma separated; checked before posting, see lib/moderation.js),
+ * Languages (e.g. "hi, en"; see lib/languages.js) and
+ * PostTemplate/CaptionTemplate/HashtagsTemplate/ImagePromptTemplate. A company
+ * called "*" is used for companies without their own profile.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createSideStorage, ensureHeaders } = require("./storage");
+const { checkTemplates } = require("./prompts");
+const { toList } = require("./settings");
+
+const ROOT = path.join(__dirname, "..");
+
+const BRAND_HEADERS = [
+  "Company",
+  "Website",
+  "Voice",
+  "Audience",
+  "BannedWords",
+  "CTAStyle",
+  "RequiredCTA",
+  "EmojiPolicy",
+  "ExamplePosts",
+  "BrandHashtags",
+  "BannedHashtags",
+  "BannedClaims",
+  "Competitors",
+  "Languages",
+  "PostTemplate",
+  "CaptionTemplate",
+  "HashtagsTemplate",
+  "ImagePromptTemplate",
+];
+
+const TEMPLATE_HEADERS = {
+  PostTemplate: "post",
+  CaptionTemplate: "caption",
+  HashtagsTemplate: "hashtags",
+  ImagePromptTemplate: "imagePrompt",
+};
+
+function brandsFile() {
+  return path.resolve(ROOT, process.env.BRANDS_FILE || "brands.json");
+}
+
+function brandsTab() {
+  return process.env.BRANDS_TAB || "Brands";
+}
+
+function companyKey(name) {
+  return String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+function normalizeBrand(entry, where) {
+  const brand = {
+    company: String(entry.company || "").trim(),
+    website: String(entry.website || "").trim(),
+    voice: String(entry.voice || "").trim(),
+    audience: String(entry.audience || "").trim(),
+    ctaStyle: String(entry.ctaStyle || "").trim(),
+    requiredCta: toList(entry.requiredCta, ","),
+    emojiPolicy: String(entry.emojiPolicy || "").trim(),
+    bannedWords: toList(entry.bannedWords, ","),
+    examplePosts: toList(entry.examplePosts, /\r?\n/),
+    hashtags: toList(entry.hashtags, /[\s,]+/),
+    bannedHashtags: toList(entry.bannedHashtags, /[\s,]+/),
+    bannedClaims: toList(entry.bannedClaims, ","),
+    competitors: toList(entry.competitors, ","),
+    languages: toList(entry.languages, ","),
+    prompts: entry.prompts || {},
+  };
+
+  checkTemplates(brand.prompts, `${where} (${brand.company})`);
+  return brand;
+}
+
+function readFile(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not parse ${path.basename(file)}: ${err.message}`);
+  }
+
+  const entries = Array.isArray(data) ? data : data.brands || [];
+  entries.forEach((entry, i) => {
+    if (!entry.company) throw new Error(`Brand #${i + 1} in ${path.basename(file)} has no "company"`);
+  });
+
+  return entries.map((entry) => normalizeBrand(entry, path.basename(file)));
+}
+
+async function readTab(store) {
+  let table;
+  try {
+    table = await store.readTable();
+  } catch (err) {
+    // No Brands tab yet: every company gets the generic prompts. Anything else
+    // (quota, auth, network) must not quietly drop the brand rules.
+    if (err.code !== "TAB_NOT_FOUND") throw err;
+    console.log(`No brand profiles read from ${brandsTab()}: ${err.message}`);
+    return [];
+  }
+
+  const { headers, rows } = table;
+  return rows
+    .map((values) => Object.fromEntries(headers.map((h, i) => [h, values[i] == null ? "" : String(values[i])])))
+    .filter((record) => record.Company)
+    .map((record) => {
+      const prompts = {};
+      for (const [header, name] of Object.entries(TEMPLATE_HEADERS)) {
+        if (record[header]) prompts[name] = record[header];
+      }
+
+      return normalizeBrand(
+        {
+          company: record.Company,
+          website: record.Website,
+          voice: record.Voice,
+          audience: record.Audience,
+          bannedWords: record.BannedWords,
+          ctaStyle: record.CTAStyle,
+          requiredCta: record.RequiredCTA,
+          emojiPolicy: record.EmojiPolicy,
+          examplePosts: record.ExamplePosts,
+          hashtags: record.BrandHashtags,
+          bannedHashtags: record.BannedHashtags,
+          bannedClaims: record.BannedClaims,
+          competitors: record.Competitors,
+          languages: record.Languages,
+          prompts,
+        },
+        brandsTab()
+      );
+    });
+}
+
+function createBrands(options = {}) {
+  let loaded = null;
+
+  function load() {
+    if (!loaded) {
+      loaded = (async () => {
+        const file = brandsFile();
+        const list = fs.existsSync(file)
+          ? readFile(file)
+          : await readTab(createSideStorage(brandsTab(), options));
+
+        return new Map(list.map((brand) => [companyKey(brand.company), brand]));
+      })();
+      loaded.catch(() => (loaded = null));
+    }
+    return loaded;
+  }
+
+  // null when neither the company nor "*" has a profile
+  async function get(company) {
+    const byCompany = await load();
+    return byCompany.get(companyKey(company)) || byCompany.get("*") || null;
+  }
+
+  return { get };
+}
+
+// Creates the Brands tab (or file) with its headers, unless brands.json is used
+async function prepareBrandsTable(options = {}) {
+  if (fs.existsSync(brandsFile())) return false;
+
+  const store = createSideStorage(brandsTab(), options);
+  if (!(await ensureHeaders(store, BRAND_HEADERS))) return false;
+
+  await store.flush();
+  return true;
+}
+
+// Words/phrases from `terms` that appear in `text`, matched as whole words
+function findTerms(text, terms) {
+  return terms.filter((word) => {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}])${escaped}($|[^\\p{L}\\p{M}\\p{N}])`, "iu").test(text);
+  });
+}
+
+function findBannedWords(text, brand) {
+  return brand ? findTerms(text, brand.bannedWords) : [];
+}
+
+module.exports = { createBrands, prepareBrandsTable, findBannedWords, findTerms, companyKey, BRAND_HEADERS };
@@ -0,0 +1,238 @@
+/**
+ * lib/calendar.js - Posting dates and topics for a content calendar
+ *
+ * Used by plan.js. Dates are calendar days (no time zone); PostTime is
+ * written as given and read as IST by the Facebook step.
+ *
+ * Frequencies:
+ *   daily | weekdays | weekly | 3/week (spread over the week) | mon,wed,fri
+ *
+ * Occasions come from holidays.json (HOLIDAYS_FILE): entries with a "MM-DD"
+ * date repeat every year, "YYYY-MM-DD" ones are for that year only (movable
+ * festivals). Entries without "countries" apply everywhere; the rest only
+ * when HOLIDAY_COUNTRY (or --country) is one of them. An occasion goes to the
+ * posting day it falls on, or the closest one up to 3 days before it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { renderPrompt } = require("./prompts");
+
+const ROOT = path.join(__dirname, "..");
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const LEAD_DAYS = 3;
+
+// UTC midnight of that day; null for days that don't exist, such as 31/02
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const valid = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  return valid ? date : null;
+}
+
+// "2026-11-01" or "01/11/26" (DD/MM/YY, as in the plan) -> UTC midnight
+function parseDate(value) {
+  const text = String(value || "").trim();
+  let date = null;
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) date = utcDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (match) {
+    const year = Number(match[3]) < 100 ? 2000 + Number(match[3]) : Number(match[3]);
+    date = utcDate(year, Number(match[2]), Number(match[1]));
+  }
+
+  if (!date) throw new Error(`Invalid date "${text}". Use YYYY-MM-DD.`);
+  return date;
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// The plan's PostDate(DD/MM/YY) format
+function formatPostDate(date) {
+  return `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCFullYear() % 100)}`;
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Days of the week (0 = Sunday) to post on
+function parseFrequency(value) {
+  const text = String(value || "")
+    .trim()
+    .toLowerCase();
+
+  if (text === "daily") return [0, 1, 2, 3, 4, 5, 6];
+  if (text === "weekdays") return [1, 2, 3, 4, 5];
+  if (text === "weekly") return [1];
+
+  const perWeek = text.match(/^(\d)\s*(?:\/|x|per|a)\s*(?:week|wk|w)$/);
+  if (perWeek) {
+    const n = Number(perWeek[1]);
+    if (n < 1 || n > 7) throw new Error(`Posts per week must be 1 to 7, not ${n}`);
+    // Up to 5 spread over the working week (3/week -> Mon, Wed, Fri), then Saturday and Sunday
+    if (n === 1) return [1];
+    if (n > 5) return n === 6 ? [1, 2, 3, 4, 5, 6] : [0, 1, 2, 3, 4, 5, 6];
+    return Array.from({ length: n }, (_, i) => 1 + Math.round((i * 4) / (n - 1)));
+  }
+
+  const days = text.split(/[\s,]+/).filter(Boolean);
+  if (days.length && days.every((d) => WEEKDAYS.includes(d.slice(0, 3)))) {
+    return [...new Set(days.map((d) => WEEKDAYS.indexOf(d.slice(0, 3))))];
+  }
+
+  throw new Error(`Unknown frequency "${value}". Use daily, weekdays, weekly, 3/week or mon,wed,fri.`);
+}
+
+function postingDates(from, to, weekdays) {
+  if (to < from) throw new Error("The end date is before the start date");
+
+  const dates = [];
+  for (let t = from.getTime(); t <= to.getTime(); t += DAY_MS) {
+    const date = new Date(t);
+    if (weekdays.includes(date.getUTCDay())) dates.push(date);
+  }
+  return dates;
+}
+
+function loadHolidays(file = process.env.HOLIDAYS_FILE || "holidays.json") {
+  const resolved = path.resolve(ROOT, file);
+  if (!fs.existsSync(resolved)) return [];
+
+  try {
+    const data = JSON.parse(fs.readFileSync(resolved, "utf8"));
+    return Array.isArray(data) ? data : data.holidays || [];
+  } catch (err) {
+    throw new Error(`Could not parse ${path.basename(resolved)}: ${err.message}`);
+  }
+}
+
+// Holidays between from and to (inclusive) for `country`, as { date, name }
+function occasionsBetween(holidays, from, to, country) {
+  const code = String(country || "").toUpperCase();
+  const found = [];
+
+  holidays
+    .filter((h) => h.date && h.name)
+    .filter((h) => !h.countries || !h.countries.length || h.countries.map((c) => c.toUpperCase()).includes(code))
+    .forEach((h) => {
+      const years = /^\d{4}-/.test(h.date)
+        ? [null]
+        : Array.from({ length: to.getUTCFullYear() - from.getUTCFullYear() + 1 }, (_, i) => from.getUTCFullYear() + i);
+
+      years.forEach((year) => {
+        const date = parseDate(year ? `${year}-${h.date}` : h.date);
+        if (date >= from && date <= to) found.push({ date, name: h.name });
+      });
+    });
+
+  return found.sort((a, b) => a.date - b.date);
+}
+
+// Slots: one per posting date, with a pillar (in turn) and any occasion
+function buildSlots(dates, pillars, occasions) {
+  const slots = dates.map((date, i) => ({ date, pillar: pillars[i % pillars.length], occasions: [] }));
+
+  occasions.forEach((occasion) => {
+    const slot = slots
+      .filter((s) => s.date <= occasion.date && occasion.date - s.date <= LEAD_DAYS * DAY_MS)
+      .sort((a, b) => b.date - a.date)[0];
+    if (slot) slot.occasions.push(occasion);
+  });
+
+  return slots;
+}
+
+function topicKey(topic) {
+  return String(topic || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function slotLine(slot, i) {
+  const day = slot.date.toLocaleDateString("en-GB", { weekday: "short", day: "numeric", month: "short", year: "numeric", timeZone: "UTC" });
+  const occasions = slot.occasions.map((o) =>
+    o.date.getTime() === slot.date.getTime() ? o.name : `${o.name} on ${isoDate(o.date)}`
+  );
+  return `${i + 1}. ${day} - pillar: ${slot.pillar}${occasions.length ? ` - occasion: ${occasions.join(", ")}` : ""}`;
+}
+
+function topicsSchema(count) {
+  return {
+    name: "topic_calendar",
+    strict: true,
+    schema: {
+      type: "object",
+      properties: { topics: { type: "array", items: { type: "string" }, description: `${count} topics, in order` } },
+      required: ["topics"],
+      additionalProperties: false,
+    },
+  };
+}
+
+// One topic per slot, none repeating each other or `existing` topics.
+// Problems go back to the model, up to `attempts` times.
+async function planTopics(model, slots, { vars, brand, existing = [], attempts = 3 }) {
+  const used = new Set(existing.map(topicKey));
+  const base = [
+    renderPrompt("plan", vars, brand),
+    ...(existing.length ? ["", "Recent topics, not to repeat:", ...existing.slice(-50).map((t) => `- ${t}`)] : []),
+    "",
+    "Slots:",
+    ...slots.map(slotLine),
+    "",
+    `Reply with JSON: topics, ${slots.length} topics, one per slot in the same order.`,
+  ].join("\n");
+
+  let problems = [];
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const prompt = problems.length
+      ? `${base}\n\nYour previous answer had these problems: ${problems.join("; ")}. Answer again and fix them.`
+      : base;
+
+    let topics;
+    try {
+      ({ topics } = await model.generateJSON(prompt, topicsSchema(slots.length)));
+    } catch (err) {
+      if (!err.invalidResponse) throw err;
+      problems = [err.message];
+      continue;
+    }
+
+    topics = (Array.isArray(topics) ? topics : []).map((t) => String(t || "").trim());
+    problems = [];
+    if (topics.length !== slots.length) problems.push(`there are ${topics.length} topics, ${slots.length} are needed`);
+
+    const seen = new Set();
+    topics.forEach((topic, i) => {
+      const key = topicKey(topic);
+      if (!key) problems.push(`topic ${i + 1} is empty`);
+      else if (used.has(key)) problems.push(`topic ${i + 1} ("${topic}") repeats a recent topic`);
+      else if (seen.has(key)) problems.push(`topic ${i + 1} ("${topic}") is a duplicate`);
+      seen.add(key);
+    });
+
+    if (!problems.length) return topics;
+    console.log(`Attempt ${attempt}: ${problems.join("; ")}`);
+  }
+
+  throw new Error(`topics still invalid after ${attempts} attempts: ${problems.join("; ")}`);
+}
+
+module.exports = {
+  parseDate,
+  formatPostDate,
+  isoDate,
+  parseFrequency,
+  postingDates,
+  loadHolidays,
+  occasionsBetween,
+  buildSlots,
+  planTopics,
+};
@@ -0,0 +1,108 @@
+/**
+ * lib/candidates.js - Several images per prompt, one picked by a person
+ *
+ * With IMAGE_CANDIDATES above 1, Generate Image makes that many images from
+ * the row's prompt, stores them all and lists them in the Candidates column
+ * as "1: <image ID>" lines. The row waits at content_ready until one is picked,
+ * either by typing its number into ImageChoice (Generate Image applies it on
+ * its next run) or from the gallery behind a row's Images button in the
+ * dashboard. The pick becomes GenImage and the logo and text steps take it
+ * from there.
+ *
+ * Picking another candidate later, up until the post goes out, swaps GenImage
+ * and runs the logo and text steps again, without paying for new images.
+ */
+
+const { loadRows } = require("./row");
+const { claimRow, releaseRow } = require("./claims");
+const { getStatus, setStatus, canTransition, isPublished } = require("./status");
+const { LOGO_OUTPUTS } = require("./regenerate");
+const { numberSetting } = require("./settings");
+
+function candidateSettings() {
+  const count = Math.floor(numberSetting("IMAGE_CANDIDATES", 1));
+  return { count: count > 1 ? Math.min(count, 10) : 1 };
+}
+
+// "1: link\n2: link" -> [{ number, link }]
+function parseCandidates(value) {
+  return String(value || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim().match(/^(\d+)\s*[:.)]\s*(\S+)$/))
+    .filter(Boolean)
+    .map(([, number, link]) => ({ number: Number(number), link }));
+}
+
+function formatCandidates(links) {
+  return links.map((link, i) => `${i + 1}: ${link}`).join("\n");
+}
+
+// Candidate the ImageChoice column asks for, when GenImage doesn't hold it yet
+function chosenCandidate(row) {
+  if (!row.has("candidates") || !row.has("imageChoice") || !row.get("imageChoice")) return null;
+
+  const chosen = parseCandidates(row.get("candidates")).find((c) => c.number === row.getNumber("imageChoice"));
+  if (!chosen || chosen.link === row.get("genImage")) return null;
+  return chosen;
+}
+
+// Makes `candidate` the row's image and sends it back through the logo and text steps
+function applyCandidate(row, candidate) {
+  row.set("genImage", candidate.link);
+  if (row.has("genComplete")) row.set("genComplete", "Complete");
+  if (row.has("imageChoice")) row.set("imageChoice", candidate.number);
+  LOGO_OUTPUTS.forEach((key) => row.has(key) && row.set(key, ""));
+
+  const status = getStatus(row);
+  const detail = `picked image candidate ${candidate.number}`;
+  if (status === "image_ready" || canTransition(status, "image_ready")) setStatus(row, "image_ready", detail);
+  return row;
+}
+
+// Dashboard pick: candidate `number` of the row with `rowId`
+async function pickCandidate(storage, rowId, number, { history } = {}) {
+  const { rows } = await loadRows(storage);
+  const row = rows.find((r) => r.id === rowId);
+  if (!row) throw new Error(`Row ${rowId} is no longer in the plan`);
+
+  const status = getStatus(row);
+  if (isPublished(status)) throw new Error(`Row ${row.rowNumber} is already ${status}`);
+
+  const candidate = parseCandidates(row.get("candidates")).find((c) => c.number === Number(number));
+  if (!candidate) throw new Error(`Row ${row.rowNumber} has no image candidate ${number}`);
+
+  if (!(await claimRow(storage, row))) {
+    throw new Error(`Row ${row.rowNumber} is being processed by another run. Try again shortly.`);
+  }
+
+  try {
+    applyCandidate(row, candidate);
+    await row.save();
+  } finally {
+    await releaseRow(row);
+  }
+  await storage.flush();
+
+  if (history) {
+    await history.record(row, "genImage", candidate.link, { source: `candidate ${candidate.number}` });
+    await history.flush();
+  }
+  return { row, candidate };
+}
+
+// Link a browser can show as an <img> for a Drive view link; asset IDs go
+// through the dashboard's /api/assets instead
+function thumbnailUrl(link, width = 400) {
+  const match = String(link).match(/\/d\/([a-zA-Z0-9_-]+)/) || String(link).match(/[?&]id=([a-zA-Z0-9_-]+)/);
+  return match ? `https://drive.google.com/thumbnail?id=${match[1]}&sz=w${width}` : link;
+}
+
+module.exports = {
+  candidateSettings,
+  parseCandidates,
+  formatCandidates,
+  chosenCandidate,
+  applyCandidate,
+  pickCandidate,
+  thumbnailUrl,
+};
@@ -0,0 +1,90 @@
+/**
+ * lib/claims.js - Row leases so two runs never work on the same row
+ *
+ * Before a step does anything expensive with a row it writes
+ * "<owner> until <ISO time>" into the Claim column as a compare-and-set: the
+ * write only goes out if the cell still holds what this run read, checked
+ * against a fresh read of the plan (see compareAndSet in lib/storage). That
+ * read and the write are separate calls, so two runs can both pass the check;
+ * after CLAIM_SETTLE_MS (default 500) the row is read once more and the claim
+ * only counts if the cell still holds this run's value. Either way, a row
+ * another process claimed is skipped. A won claim also reloads the row, so a
+ * step sees what any earlier run wrote before it; with `status`, the claim is
+ * dropped again if the row has meanwhile moved out of that state. Claims
+ * expire after CLAIM_TTL_MINUTES (default 15), so a crashed run only blocks
+ * its rows for that long.
+ *
+ *   if (!(await claimRow(storage, row, { status: "image_ready" }))) continue;
+ *   try { ... } finally { await releaseRow(row); }
+ */
+
+const os = require("os");
+const path = require("path");
+const { getStatus } = require("./status");
+const { numberSetting } = require("./settings");
+
+const OWNER =
+  process.env.CLAIM_OWNER ||
+  `${os.hostname()}:${process.pid}:${path.basename(require.main?.filename || "node", ".js")}`;
+
+function ttlMs() {
+  return numberSetting("CLAIM_TTL_MINUTES", 15) * 60 * 1000;
+}
+
+function parseClaim(value) {
+  const match = String(value || "").match(/^(.*) until (\S+)$/);
+  if (!match) return null;
+
+  const expiresAt = Date.parse(match[2]);
+  if (Number.isNaN(expiresAt)) return null;
+
+  return { owner: match[1], expiresAt };
+}
+
+function activeClaim(row) {
+  const claim = parseClaim(row.get("claim"));
+  return claim && claim.expiresAt > Date.now() ? claim : null;
+}
+
+async function claimRow(storage, row, { status } = {}) {
+  // Sheets from before sheet:init added the column run unclaimed, as they always did
+  if (!row.has("claim")) return true;
+
+  const existing = activeClaim(row);
+  if (existing && existing.owner !== OWNER) {
+    console.log(`Row ${row.rowNumber}: claimed by ${existing.owner}, skipping`);
+    return false;
+  }
+
+  const value = `${OWNER} until ${new Date(Date.now() + ttlMs()).toISOString()}`;
+  if (!(await row.compareAndSet("claim", row.get("claim"), value))) {
+    console.log(`Row ${row.rowNumber}: claimed by another run, skipping`);
+    return false;
+  }
+
+  // A run that read the cell before this write may have overwritten it since
+  await new Promise((resolve) => setTimeout(resolve, numberSetting("CLAIM_SETTLE_MS", 500, { allowZero: true })));
+  if (!(await row.refresh()) || row.get("claim") !== value) {
+    console.log(`Row ${row.rowNumber}: claimed by another run, skipping`);
+    return false;
+  }
+
+  if (status && getStatus(row) !== status) {
+    console.log(`Row ${row.rowNumber}: now ${getStatus(row)}, skipping`);
+    await releaseRow(row);
+    return false;
+  }
+
+  return true;
+}
+
+async function releaseRow(row) {
+  if (!row.has("claim")) return;
+
+  const claim = parseClaim(row.get("claim"));
+  if (!claim || claim.owner !== OWNER) return;
+
+  await row.set("claim", "").save();
+}
+
+module.exports = { claimRow, releaseRow, parseClaim, activeClaim, OWNER };
@@ -0,0 +1,321 @@
+/**
+ * lib/content.js - Rules for generated post content
+ *
+ * Model output is cleaned up first (quotes around the caption, numbered or
+ * comma separated hashtags, hashtags tacked onto the caption, "Caption:"
+ * labels), then checked against the rules below. generateValid() sends the
+ * problems back to the model until the output passes or CONTENT_ATTEMPTS
+ * (default 3) runs out.
+ *
+ *   CAPTION_MAX_LENGTH       default 2200
+ *   HASHTAG_COUNT            default 10, including the brand's own tags and at most
+ *                            the platform's maximum (lib/hashtags.js)
+ *   IMAGE_PROMPT_MAX_LENGTH  default 4000
+ *   OVERLAY_MAX_LENGTH       overlay headline, default what fits across the image
+ *   OVERLAY_SUBLINE_MAX_LENGTH  overlay subline (lib/overlay.js)
+ *   ALT_TEXT_MAX_LENGTH      default 250
+ *   REQUIRED_CTA             comma separated phrases, one of which the caption must
+ *                            contain (a brand's RequiredCTA takes precedence)
+ *
+ * Hashtags also go through the hashtag policy: brand tags, casing, overused
+ * and banned tags, and rotation against the company's previous posts.
+ *
+ * With CAPTION_VARIANTS above 1 the structured call returns "captions", a list
+ * of { hook, caption }, instead of one caption; each must pass the caption rules.
+ *
+ * Overlay text comes back as { headline, subline } and is saved as two lines.
+ */
+
+const { numberSetting, toList } = require("./settings");
+const { findBannedWords } = require("./brands");
+const { variantSettings, variantStyle } = require("./variants");
+const { overlaySettings, splitOverlay, joinOverlay } = require("./overlay");
+const {
+  hashtagPolicy,
+  applyHashtagPolicy,
+  checkHashtags,
+  ownTags,
+  parseHashtags,
+  formatHashtags,
+} = require("./hashtags");
+
+// Generated field -> plan column
+const CONTENT_COLUMNS = {
+  caption: "caption",
+  hashtags: "hashtags",
+  imagePrompt: "imagePrompt",
+  overlayText: "textContent",
+  altText: "altText",
+};
+
+const LABELS = {
+  hook: "hook",
+  captions: "captions",
+  caption: "caption",
+  hashtags: "hashtags",
+  imagePrompt: "image prompt",
+  overlayText: "overlay text",
+  altText: "alt text",
+};
+
+// `recentHashtags` are the company's previous hashtag sets, for rotation;
+// `format` is the row's image format, which sets the overlay budget
+function contentRules(brand, recentHashtags = [], format) {
+  const policy = hashtagPolicy(brand);
+  const overlay = overlaySettings(format);
+  const total = Math.min(numberSetting("HASHTAG_COUNT", 10), policy.max);
+
+  return {
+    captionMaxLength: numberSetting("CAPTION_MAX_LENGTH", 2200),
+    // What the model writes; the brand's tags are added to these
+    hashtagCount: Math.max(0, total - policy.brandTags.length),
+    hashtagPolicy: policy,
+    recentHashtags,
+    imagePromptMaxLength: numberSetting("IMAGE_PROMPT_MAX_LENGTH", 4000),
+    overlayMaxLength: overlay.headlineMaxLength,
+    sublineMaxLength: overlay.sublineMaxLength,
+    altTextMaxLength: numberSetting("ALT_TEXT_MAX_LENGTH", 250),
+    requiredCta: brand && brand.requiredCta.length ? brand.requiredCta : toList(process.env.REQUIRED_CTA),
+    attempts: numberSetting("CONTENT_ATTEMPTS", 3),
+    captionVariants: variantSettings().count,
+  };
+}
+
+// JSON schema for one structured call covering `fields`
+function postSchema(fields, rules) {
+  const properties = {};
+  fields.forEach((field) => {
+    if (field === "hashtags") {
+      properties.hashtags = { type: "array", items: { type: "string" } };
+    } else if (field === "captions") {
+      properties.captions = {
+        type: "array",
+        description: `${rules.captionVariants} captions, each with a different hook`,
+        items: {
+          type: "object",
+          properties: { hook: { type: "string" }, caption: { type: "string" } },
+          required: ["hook", "caption"],
+          additionalProperties: false,
+        },
+      };
+    } else if (field === "overlayText") {
+      const lines = rules.sublineMaxLength ? ["headline", "subline"] : ["headline"];
+      properties.overlayText = {
+        type: "object",
+        properties: Object.fromEntries(lines.map((line) => [line, { type: "string" }])),
+        required: lines,
+        additionalProperties: false,
+      };
+    } else {
+      properties[field] = { type: "string" };
+    }
+  });
+
+  return {
+    name: "social_post",
+    strict: true,
+    schema: { type: "object", properties, required: fields, additionalProperties: false },
+  };
+}
+
+// What each field should hold, appended to the structured prompt
+function fieldInstructions(fields, rules) {
+  const styles = Array.from({ length: rules.captionVariants }, (_, i) => variantStyle(i));
+  const lines = {
+    captions:
+      `captions: ${rules.captionVariants} different captions, without hashtags, at most ${rules.captionMaxLength} characters each` +
+      (rules.requiredCta.length ? ` and each including one of: ${rules.requiredCta.join(" / ")}` : "") +
+      `. Open them with, in order: ${styles.map((s) => `${s.hook} (${s.length})`).join("; ")}. ` +
+      "Give each a hook: a few words naming how it opens",
+    caption:
+      `caption: the post text, without hashtags, at most ${rules.captionMaxLength} characters` +
+      (rules.requiredCta.length ? `, including one of: ${rules.requiredCta.join(" / ")}` : ""),
+    hashtags:
+      `hashtags: exactly ${rules.hashtagCount} relevant hashtags, each one word starting with #` +
+      (rules.hashtagPolicy.brandTags.length ? ` (${formatHashtags(rules.hashtagPolicy.brandTags)} are added for you)` : "") +
+      (rules.recentHashtags.length ? `, not reusing ${formatHashtags(rules.recentHashtags[0])}` : ""),
+    imagePrompt:
+      "imagePrompt: one detailed AI image prompt for the post's image. Do not add any kind of text adding instructions in the prompt",
+    overlayText:
+      `overlayText: the words to print on the image, a headline of at most ${rules.overlayMaxLength} characters` +
+      (rules.sublineMaxLength
+        ? ` and a subline of at most ${rules.sublineMaxLength} characters that adds to it, or an empty subline when the headline says enough`
+        : ""),
+    altText:
+      `altText: a description of the finished image for people using screen readers, at most ${rules.altTextMaxLength} characters: ` +
+      "what the image shows and, when there is overlay text, the words printed on it",
+  };
+
+  return ["Reply with JSON containing:", ...fields.map((field) => `- ${lines[field]}`)].join("\n");
+}
+
+const WRAPPING_QUOTES = [
+  ['"', '"'],
+  ["'", "'"],
+  ["“", "”"],
+  ["«", "»"],
+];
+
+function unquote(text) {
+  for (const [open, close] of WRAPPING_QUOTES) {
+    if (text.length > 1 && text.startsWith(open) && text.endsWith(close)) {
+      return text.slice(open.length, -close.length).trim();
+    }
+  }
+  return text;
+}
+
+// Quotes can be outside or inside a "Caption:" label
+function cleanText(value, field) {
+  const label = new RegExp(`^\\**${LABELS[field].replace(" ", "\\s*")}(:\\**|\\**:)\\s*`, "i");
+  return unquote(unquote(String(value == null ? "" : value).trim()).replace(label, ""));
+}
+
+// Hashtags are posted from their own column
+function cleanCaption(value) {
+  return cleanText(value, "caption")
+    .replace(/(\s+#[\p{L}\p{M}\p{N}_]+)+\s*$/u, "")
+    .trim();
+}
+
+function repairContent(raw, rules) {
+  const content = {};
+
+  for (const [field, value] of Object.entries(raw || {})) {
+    if (!(field in CONTENT_COLUMNS) && field !== "captions") continue;
+
+    if (field === "hashtags") {
+      content.hashtags = applyHashtagPolicy(value, rules.hashtagPolicy, rules.hashtagCount);
+    } else if (field === "caption") {
+      content.caption = cleanCaption(value);
+    } else if (field === "captions") {
+      const seen = new Set();
+      content.captions = (Array.isArray(value) ? value : [])
+        .map((v) => ({ hook: cleanText(v?.hook, "hook"), caption: cleanCaption(v?.caption) }))
+        .filter((v) => v.caption && !seen.has(v.caption) && seen.add(v.caption))
+        .slice(0, rules.captionVariants);
+    } else if (field === "overlayText") {
+      // An object from the structured call, "headline\nsubline" from a plain one
+      const lines = value && typeof value === "object" ? value : splitOverlay(value);
+      content.overlayText = joinOverlay({
+        headline: cleanText(lines.headline, field),
+        subline: rules.sublineMaxLength ? cleanText(lines.subline, field) : "",
+      });
+    } else {
+      content[field] = cleanText(value, field);
+    }
+  }
+
+  return content;
+}
+
+// Problems with `content`, in words the model can act on; [] when it passes
+function validateContent(content, fields, rules, brand) {
+  const problems = [];
+  const tooLong = (field, max) => {
+    if (content[field] && content[field].length > max) {
+      problems.push(`the ${LABELS[field]} is ${content[field].length} characters, the limit is ${max}`);
+    }
+  };
+
+  fields.forEach((field) => {
+    const value = content[field];
+    if (!value || !value.length) problems.push(`the ${LABELS[field]} is missing`);
+  });
+
+  const checkCaption = (text, label) => {
+    if (text.length > rules.captionMaxLength) {
+      problems.push(`${label} is ${text.length} characters, the limit is ${rules.captionMaxLength}`);
+    }
+    const lower = text.toLowerCase();
+    if (rules.requiredCta.length && !rules.requiredCta.some((cta) => lower.includes(cta.toLowerCase()))) {
+      problems.push(`${label} must include one of: ${rules.requiredCta.join(" / ")}`);
+    }
+    const banned = findBannedWords(text, brand);
+    if (banned.length) problems.push(`${label} uses banned word(s): ${banned.join(", ")}`);
+  };
+
+  if (fields.includes("caption") && content.caption) checkCaption(content.caption, "the caption");
+
+  if (fields.includes("captions") && content.captions?.length) {
+    if (content.captions.length < rules.captionVariants) {
+      problems.push(`there are ${content.captions.length} different captions, ${rules.captionVariants} are needed`);
+    }
+    content.captions.forEach((v, i) => checkCaption(v.caption, `caption ${i + 1}`));
+  }
+
+  if (fields.includes("hashtags") && content.hashtags?.length) {
+    const own = ownTags(content.hashtags, rules.hashtagPolicy);
+    // Fewer tags than asked for still make a post; none at all doesn't
+    if (!own.length && rules.hashtagCount) {
+      problems.push(`there are no usable hashtags, ${rules.hashtagCount} are needed`);
+    } else if (own.length < rules.hashtagCount) {
+      console.log(`Only ${own.length} of ${rules.hashtagCount} hashtags are usable, keeping them`);
+    }
+    problems.push(...checkHashtags(content.hashtags, rules.hashtagPolicy, rules.recentHashtags));
+  }
+
+  if (fields.includes("imagePrompt")) tooLong("imagePrompt", rules.imagePromptMaxLength);
+  if (fields.includes("overlayText") && content.overlayText) {
+    const { headline, subline } = splitOverlay(content.overlayText);
+    if (headline.length > rules.overlayMaxLength) {
+      problems.push(`the overlay headline is ${headline.length} characters, the limit is ${rules.overlayMaxLength}`);
+    }
+    if (subline.length > rules.sublineMaxLength) {
+      problems.push(`the overlay subline is ${subline.length} characters, the limit is ${rules.sublineMaxLength}`);
+    }
+  }
+  if (fields.includes("altText")) tooLong("altText", rules.altTextMaxLength);
+
+  ["hashtags", "overlayText"]
+    .filter((field) => fields.includes(field) && content[field])
+    .forEach((field) => {
+      const text = field === "hashtags" ? content.hashtags.join(" ") : content[field];
+      const banned = findBannedWords(text, brand);
+      if (banned.length) problems.push(`the ${LABELS[field]} uses banned word(s): ${banned.join(", ")}`);
+    });
+
+  return problems;
+}
+
+// `generate(prompt)` returns raw { field: value }. Output that can't be parsed
+// or breaks the rules is sent back with the problems listed; anything else
+// thrown (rate limits, network) is left to the caller's retry handling.
+async function generateValid(generate, prompt, { fields, rules, brand }) {
+  let problems = [];
+
+  for (let attempt = 1; attempt <= rules.attempts; attempt++) {
+    const request = problems.length
+      ? `${prompt}\n\nYour previous answer had these problems: ${problems.join("; ")}. Answer again and fix them.`
+      : prompt;
+
+    let content;
+    try {
+      content = repairContent(await generate(request), rules);
+    } catch (err) {
+      if (!err.invalidResponse) throw err;
+      problems = [err.message];
+      console.log(`Attempt ${attempt}: ${err.message}`);
+      continue;
+    }
+
+    problems = validateContent(content, fields, rules, brand);
+    if (!problems.length) return { content, prompt: request, attempts: attempt };
+
+    console.log(`Attempt ${attempt}: ${problems.join("; ")}`);
+  }
+
+  throw new Error(`still invalid after ${rules.attempts} attempts: ${problems.join("; ")}`);
+}
+
+module.exports = {
+  CONTENT_COLUMNS,
+  contentRules,
+  postSchema,
+  fieldInstructions,
+  parseHashtags,
+  formatHashtags,
+  repairContent,
+  validateContent,
+  generateValid,
+};
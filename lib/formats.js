@@ -0,0 +1,123 @@
+/**
+ * lib/formats.js - Image formats (aspect ratios) and fitting images to them
+ *
+ * The Format column picks the shape of a row's image (DEFAULT_FORMAT, square
+ * when empty):
+ *
+ *   square     1:1     1080x1080  feed
+ *   portrait   4:5     1080x1350  feed, takes more of a phone screen
+ *   landscape  1.91:1  1200x628   link previews
+ *   story      9:16    1080x1920  stories and reels
+ *
+ * "4:5", "1.91:1", "vertical", "link" and "reel" work too. Generate Image asks
+ * the provider for the closest size it can make and crops the rest.
+ *
+ * Renditions (4.1.renditions.js) make the other formats from one master
+ * image, either by smart crop (keeping the busiest part of the picture) or by
+ * padding it over a blurred, stretched copy of itself. Each format has its
+ * own layout: stories keep the logo and text out of the top and bottom bands
+ * where the app draws its own buttons, and link images use smaller text.
+ */
+
+const sharp = require("sharp");
+
+const FORMATS = {
+  square: { ratio: "1:1", width: 1080, height: 1080 },
+  portrait: { ratio: "4:5", width: 1080, height: 1350 },
+  landscape: { ratio: "1.91:1", width: 1200, height: 628, textScale: 0.8 },
+  story: { ratio: "9:16", width: 1080, height: 1920, safeTop: 0.13, safeBottom: 0.2 },
+};
+
+const ALIASES = {
+  "1:1": "square",
+  feed: "square",
+  "4:5": "portrait",
+  vertical: "portrait",
+  "1.91:1": "landscape",
+  link: "landscape",
+  wide: "landscape",
+  "9:16": "story",
+  stories: "story",
+  reel: "story",
+};
+
+const FORMAT_NAMES = Object.keys(FORMATS);
+const FIT_MODES = ["crop", "pad"];
+
+// Layout sizes are relative to this width, the width the steps were tuned at
+const BASE_WIDTH = 1024;
+
+function parseFormat(value) {
+  const text = String(value || "").trim().toLowerCase() || (process.env.DEFAULT_FORMAT || "square").toLowerCase();
+  const name = FORMATS[text] ? text : ALIASES[text.replace(/\s+/g, "")];
+  if (!name) throw new Error(`Unknown format "${value}". Use ${FORMAT_NAMES.join(", ")} or ${Object.keys(ALIASES).slice(0, 4).join(", ")}.`);
+  return { name, ...FORMATS[name] };
+}
+
+// "story, landscape:pad" -> [{ format, mode }]
+function parseRenditions(value) {
+  return String(value || "")
+    .split(/[,;\n]+/)
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      // The mode follows the last colon, unless that colon is part of a ratio like 4:5
+      const match = item.match(/^(.*):\s*([a-z]+)$/i);
+      const format = match ? match[1] : item;
+      const fit = (match ? match[2] : process.env.RENDITION_MODE || "crop").toLowerCase();
+      if (!FIT_MODES.includes(fit)) throw new Error(`Unknown rendition mode "${fit}". Use ${FIT_MODES.join(" or ")}.`);
+      return { format: parseFormat(format), mode: fit };
+    });
+}
+
+function aspect(format) {
+  return format.width / format.height;
+}
+
+// Within 1%, so a 1024x1536 image isn't called 4:5
+function matchesFormat(width, height, format) {
+  return Math.abs(width / height / aspect(format) - 1) < 0.01;
+}
+
+// A `format.width` x `format.height` PNG of `input` (path or buffer)
+async function fitToFormat(input, format, mode = "crop") {
+  const { width, height } = format;
+
+  if (mode === "pad") {
+    const background = await sharp(input)
+      .resize(width, height, { fit: "cover" })
+      .blur(Math.max(10, Math.round(width / 40)))
+      .modulate({ brightness: 0.85 })
+      .toBuffer();
+    const foreground = await sharp(input).resize(width, height, { fit: "inside" }).toBuffer();
+    return sharp(background).composite([{ input: foreground, gravity: "center" }]).png().toBuffer();
+  }
+
+  return sharp(input)
+    .resize(width, height, { fit: "cover", position: sharp.strategy.attention })
+    .png()
+    .toBuffer();
+}
+
+// Font size and margins for an image of `width` x `height` in `format`
+function layoutFor(format, width, height, { fontSize = 30, margin = 10 } = {}) {
+  const scale = width / BASE_WIDTH;
+  return {
+    fontSize: Math.round(fontSize * scale * (format.textScale || 1)),
+    margin: {
+      x: Math.round(margin * scale),
+      top: Math.round(margin * scale + height * (format.safeTop || 0)),
+      bottom: Math.round(margin * scale + height * (format.safeBottom || 0)),
+    },
+  };
+}
+
+module.exports = {
+  FORMATS,
+  FORMAT_NAMES,
+  parseFormat,
+  parseRenditions,
+  matchesFormat,
+  fitToFormat,
+  layoutFor,
+};
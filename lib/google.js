@@ -0,0 +1,50 @@
+/**
+ * lib/google.js - Shared Google OAuth client for the pipeline steps
+ * Reads credentials.json + token.json from the project root (see 0.oauth.js)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { google } = require("googleapis");
+
+const ROOT = path.join(__dirname, "..");
+const CREDENTIALS_PATH = path.join(ROOT, "credentials.json");
+const TOKEN_PATH = path.join(ROOT, "token.json");
+
+let authClient = null;
+
+function extractSheetId(url) {
+  const match = String(url || "").match(/\/d\/([a-zA-Z0-9-_]+)/);
+  if (!match) throw new Error("Invalid SHEET_URL format. Could not extract spreadsheet ID.");
+  return match[1];
+}
+
+function getAuth() {
+  if (authClient) return authClient;
+
+  if (!fs.existsSync(CREDENTIALS_PATH)) {
+    throw new Error("credentials.json not found. Please download it from Google Cloud Console.");
+  }
+  if (!fs.existsSync(TOKEN_PATH)) {
+    throw new Error("token.json not found. Please run the authorization script first (npm run oauth).");
+  }
+
+  const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, "utf8"));
+  const { client_secret, client_id, redirect_uris } =
+    credentials.installed || credentials.web;
+
+  authClient = new google.auth.OAuth2(client_id, client_secret, redirect_uris[0]);
+  authClient.setCredentials(JSON.parse(fs.readFileSync(TOKEN_PATH, "utf8")));
+
+  return authClient;
+}
+
+function getSheets() {
+  return google.sheets({ version: "v4", auth: getAuth() });
+}
+
+function getDrive() {
+  return google.drive({ version: "v3", auth: getAuth() });
+}
+
+module.exports = { extractSheetId, getAuth, getSheets, getDrive };
@@ -0,0 +1,176 @@
+/**
+ * lib/hashtags.js - Hashtag policy
+ *
+ * Every hashtag set, generated or typed into the plan, goes through the same
+ * policy before it is saved or posted:
+ *
+ *   - tags are deduplicated (ignoring case), get a "#" and lose anything that
+ *     can't be part of a hashtag
+ *   - HASHTAG_CASE sets the casing: lower (default), pascal (first letter
+ *     upper case) or keep. Brand tags are written exactly as given.
+ *   - the brand's own tags (BrandHashtags in the profile) always come first
+ *   - overused tags (HASHTAG_OVERUSED, comma separated; a short built-in list
+ *     when unset) are dropped
+ *   - the set is cut to the platform's maximum, HASHTAG_MAX_<PLATFORM>, for
+ *     HASHTAG_PLATFORM (default facebook)
+ *
+ * Hard rules, which block a post rather than being fixed quietly:
+ *
+ *   - no banned tags (HASHTAG_BANNED plus the brand's BannedHashtags)
+ *   - the brand tags fit within the platform's maximum
+ *   - rotation: at most HASHTAG_MAX_OVERLAP (default 0.5) of the non-brand
+ *     tags may also be on any of the company's previous HASHTAG_ROTATION_POSTS
+ *     (default 1) posts in the plan
+ */
+
+const { companyKey } = require("./brands");
+const { numberSetting, toList } = require("./settings");
+
+const CASES = ["lower", "pascal", "keep"];
+
+const PLATFORM_MAX = {
+  facebook: 10,
+  instagram: 30,
+  linkedin: 5,
+  x: 2,
+  threads: 1,
+  tiktok: 5,
+};
+
+// Used on everything, so they reach nobody in particular
+const OVERUSED = [
+  "love",
+  "instagood",
+  "photooftheday",
+  "picoftheday",
+  "instadaily",
+  "beautiful",
+  "happy",
+  "follow",
+  "followme",
+  "like4like",
+  "likeforlike",
+  "fyp",
+  "viral",
+  "trending",
+];
+
+function tagKey(tag) {
+  return tag.replace(/^#/, "").toLowerCase();
+}
+
+// Accepts "#a #b", "a, b", "1. a\n2. b" or an array; returns ["#a", "#b"]
+function parseHashtags(value) {
+  const items = Array.isArray(value) ? value.map(String) : String(value || "").split(/[\s,;]+/);
+
+  const seen = new Set();
+  return items
+    // \p{M}: the vowel signs of Hindi, Bengali and other Indic scripts
+    .map((item) => item.replace(/^\s*\d+[.)]\s*/, "").replace(/[^\p{L}\p{M}\p{N}_]/gu, ""))
+    .filter((tag) => /\p{L}/u.test(tag))
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((tag) => `#${tag}`);
+}
+
+function formatHashtags(tags) {
+  return tags.join(" ");
+}
+
+function applyCase(tag, caseStyle) {
+  const text = tag.slice(1);
+  if (caseStyle === "lower") return `#${text.toLowerCase()}`;
+  if (caseStyle === "pascal") return `#${text[0].toUpperCase()}${text.slice(1)}`;
+  return tag;
+}
+
+function hashtagPolicy(brand, platform = process.env.HASHTAG_PLATFORM || "facebook") {
+  const key = platform.trim().toLowerCase();
+  const max = numberSetting(`HASHTAG_MAX_${key.toUpperCase()}`, PLATFORM_MAX[key], { allowZero: true });
+  if (max === undefined) {
+    throw new Error(`No hashtag maximum for platform "${platform}". Set HASHTAG_MAX_${key.toUpperCase()}.`);
+  }
+
+  const caseStyle = String(process.env.HASHTAG_CASE || "lower")
+    .trim()
+    .toLowerCase();
+  if (!CASES.includes(caseStyle)) throw new Error(`Unknown HASHTAG_CASE "${caseStyle}". Use ${CASES.join(", ")}.`);
+
+  const overused = process.env.HASHTAG_OVERUSED === undefined ? OVERUSED : toList(process.env.HASHTAG_OVERUSED);
+
+  return {
+    platform: key,
+    max,
+    caseStyle,
+    brandTags: parseHashtags(brand ? brand.hashtags : []),
+    banned: new Set(parseHashtags([...toList(process.env.HASHTAG_BANNED), ...(brand ? brand.bannedHashtags : [])]).map(tagKey)),
+    overused: new Set(parseHashtags(overused).map(tagKey)),
+    maxOverlap: numberSetting("HASHTAG_MAX_OVERLAP", 0.5, { allowZero: true }),
+  };
+}
+
+// Brand tags first, then up to `count` of the others (the rest of the platform maximum by default)
+function applyHashtagPolicy(value, policy, count = policy.max - policy.brandTags.length) {
+  const brandKeys = new Set(policy.brandTags.map(tagKey));
+  const others = parseHashtags(value)
+    .filter((tag) => !brandKeys.has(tagKey(tag)) && !policy.overused.has(tagKey(tag)))
+    .map((tag) => applyCase(tag, policy.caseStyle));
+
+  return [...policy.brandTags, ...others.slice(0, Math.max(0, count))];
+}
+
+// Tags that aren't the brand's own
+function ownTags(tags, policy) {
+  const brandKeys = new Set(policy.brandTags.map(tagKey));
+  return tags.filter((tag) => !brandKeys.has(tagKey(tag)));
+}
+
+// Hashtag sets of the company's previous `count` rows in the plan, nearest first
+function recentHashtags(rows, row, count = numberSetting("HASHTAG_ROTATION_POSTS", 1, { allowZero: true })) {
+  const company = companyKey(row.get("company"));
+  return rows
+    .filter((r) => r.rowNumber < row.rowNumber && r.get("hashtags") && companyKey(r.get("company")) === company)
+    .sort((a, b) => b.rowNumber - a.rowNumber)
+    .slice(0, count)
+    .map((r) => parseHashtags(r.get("hashtags")));
+}
+
+// Hard rule violations for an already policy-applied set; [] when it can be posted
+function checkHashtags(tags, policy, recent = []) {
+  const problems = [];
+
+  const banned = tags.filter((tag) => policy.banned.has(tagKey(tag)));
+  if (banned.length) problems.push(`banned hashtag(s): ${banned.join(", ")}`);
+
+  if (policy.brandTags.length > policy.max) {
+    problems.push(`the brand's ${policy.brandTags.length} hashtags are more than the ${policy.platform} maximum of ${policy.max}`);
+  }
+
+  const own = ownTags(tags, policy);
+  if (own.length && policy.maxOverlap < 1) {
+    for (const previous of recent) {
+      const keys = new Set(previous.map(tagKey));
+      const shared = own.filter((tag) => keys.has(tagKey(tag)));
+      if (shared.length / own.length > policy.maxOverlap) {
+        problems.push(`${shared.length} of ${own.length} hashtags were used on a recent post: ${shared.join(", ")}`);
+        break;
+      }
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  hashtagPolicy,
+  applyHashtagPolicy,
+  checkHashtags,
+  recentHashtags,
+  ownTags,
+  parseHashtags,
+  formatHashtags,
+};
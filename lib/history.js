@@ -0,0 +1,174 @@
+/**
+ * lib/history.js - Version history of generated content
+ *
+ * Every caption, hashtag set, image prompt, alt/overlay text, image link and
+ * set of rendition links a step writes is also appended to a History table
+ * (a "History" tab next to the plan, or plan.history.csv/json for the file
+ * backends), keyed by RowId together with the model and parameters that
+ * produced it. restore() puts an earlier
+ * version back into the plan:
+ *
+ *   const history = createHistory();
+ *   await history.record(row, "caption", caption, { model: "gpt-5", params: { prompt } });
+ *   await history.flush();
+ *   await history.restore(storage, historyId);
+ *
+ * Entries are queued and appended together, like the plan's cell writes: when
+ * SHEETS_BATCH_SIZE of them are waiting, after SHEETS_FLUSH_MS, on flush() and
+ * when the process exits.
+ */
+
+const path = require("path");
+const { createSideStorage, ensureHeaders } = require("./storage");
+const { createWriteBuffer } = require("./storage/writebuffer");
+const { loadRows, newRowId } = require("./row");
+const { claimRow, releaseRow } = require("./claims");
+const { getStatus, setStatus, canTransition, isPublished } = require("./status");
+const { LOGO_OUTPUTS, TEXT_OUTPUTS } = require("./regenerate");
+const { numberSetting } = require("./settings");
+
+const HISTORY_HEADERS = [
+  "HistoryId",
+  "Timestamp",
+  "RowId",
+  "Row",
+  "Topic",
+  "Field",
+  "Value",
+  "Model",
+  "Params",
+  "Source",
+];
+
+// Restoring an image also marks that step done and sends the row through the later steps again
+const AFTER_RESTORE = {
+  genImage: { complete: "genComplete", clear: LOGO_OUTPUTS, status: "image_ready" },
+  imageWithLogo: { complete: "logoEmbedComplete", clear: TEXT_OUTPUTS, status: "branded" },
+  imageWithText: { complete: "textEmbedComplete", clear: [], status: "rendered" },
+};
+
+// Restored text hasn't been through the brand-safety check, so it needs a new review
+const TEXT_FIELDS = ["caption", "hashtags", "imagePrompt", "altText", "textContent"];
+
+const FIELDS = [...TEXT_FIELDS, "renditionLinks", ...Object.keys(AFTER_RESTORE)];
+
+const SOURCE = path.basename(require.main?.filename || "node", ".js");
+
+function createHistory(options = {}) {
+  const store = createSideStorage(process.env.HISTORY_TAB || "History", options);
+  let ready = null;
+
+  function prepare() {
+    if (!ready) {
+      ready = ensureHeaders(store, HISTORY_HEADERS);
+      ready.catch(() => (ready = null));
+    }
+    return ready;
+  }
+
+  const queue = createWriteBuffer({
+    maxSize: numberSetting("SHEETS_BATCH_SIZE", 50),
+    maxDelayMs: numberSetting("SHEETS_FLUSH_MS", 2000),
+    send: async (entries) => {
+      await prepare();
+      await store.appendRows(entries);
+      await store.flush();
+    },
+  });
+
+  // Never fails the step that produced the value; a lost history entry is only logged
+  async function record(row, field, value, { model = "", params = null, source = SOURCE } = {}) {
+    if (!FIELDS.includes(field)) throw new Error(`"${field}" is not kept in history`);
+
+    const entry = {
+      HistoryId: newRowId(),
+      Timestamp: new Date().toISOString(),
+      RowId: row.id,
+      Row: row.rowNumber,
+      Topic: row.get("topic"),
+      Field: field,
+      Value: value,
+      Model: model,
+      Params: params && typeof params === "object" ? JSON.stringify(params) : params || "",
+      Source: source,
+    };
+
+    try {
+      await queue.add(entry.HistoryId, entry);
+      return true;
+    } catch (err) {
+      console.log(`History entries not saved: ${err.message}`);
+      return false;
+    }
+  }
+
+  // Appends every queued entry; like record(), only logs a failure
+  async function flush() {
+    try {
+      await queue.flush();
+    } catch (err) {
+      console.log(`History entries not saved: ${err.message}`);
+    }
+  }
+
+  // Oldest first
+  async function list({ rowId, field } = {}) {
+    await flush();
+    await prepare();
+    const { headers, rows } = await store.readTable();
+
+    return rows
+      .map((values) => Object.fromEntries(headers.map((h, i) => [h, values[i] == null ? "" : String(values[i])])))
+      .filter((e) => e.HistoryId && (!rowId || e.RowId === rowId) && (!field || e.Field === field))
+      .sort((a, b) => a.Timestamp.localeCompare(b.Timestamp));
+  }
+
+  async function restore(storage, historyId) {
+    const entry = (await list()).find((e) => e.HistoryId === historyId);
+    if (!entry) throw new Error(`History entry ${historyId} not found`);
+    if (!FIELDS.includes(entry.Field)) throw new Error(`History entry ${historyId} has unknown field "${entry.Field}"`);
+
+    const { rows } = await loadRows(storage);
+    const row = rows.find((r) => r.id === entry.RowId);
+    if (!row) throw new Error(`Row ${entry.RowId} is no longer in the plan`);
+
+    const status = getStatus(row);
+    if (isPublished(status)) throw new Error(`Row ${row.rowNumber} is already ${status}`);
+
+    if (!(await claimRow(storage, row))) {
+      throw new Error(`Row ${row.rowNumber} is being processed by another run. Try again shortly.`);
+    }
+
+    try {
+      row.set(entry.Field, entry.Value);
+      if (TEXT_FIELDS.includes(entry.Field) && row.has("reviewed")) row.set("reviewed", "");
+
+      const after = AFTER_RESTORE[entry.Field];
+      if (after) {
+        if (row.has(after.complete)) row.set(after.complete, "Complete");
+        after.clear.forEach((key) => row.has(key) && row.set(key, ""));
+        if (canTransition(getStatus(row), after.status)) {
+          setStatus(row, after.status, `restored ${entry.Field} from ${entry.Timestamp}`);
+        }
+      }
+
+      await row.save();
+    } finally {
+      await releaseRow(row);
+    }
+    await storage.flush();
+
+    await record(row, entry.Field, entry.Value, {
+      model: entry.Model,
+      params: entry.Params,
+      source: `restore ${historyId}`,
+    });
+    await flush();
+
+    return { row, entry };
+  }
+
+  return { record, list, restore, flush };
+}
+
+module.exports = { createHistory, HISTORY_HEADERS, FIELDS };
@@ -0,0 +1,250 @@
+/**
+ * lib/images.js - Image generation providers
+ *
+ *   const images = createImageProvider();
+ *   const { buffer, mimeType } = await images.generate(prompt, { size: images.sizeFor(format) });
+ *
+ * IMAGE_PROVIDER picks the backend:
+ *
+ *   openai       (default) OpenAI's images API with IMAGE_MODEL, default
+ *                dall-e-3. Set IMAGE_MODEL=gpt-image-1 to opt in to the
+ *                gpt-image models, which return the image itself; dall-e-3
+ *                and dall-e-2 are asked for base64 too, so nothing is
+ *                downloaded from a temporary URL. IMAGE_QUALITY is passed on
+ *                when set.
+ *   sd           a Stable Diffusion server with an AUTOMATIC1111-style API:
+ *                POST IMAGE_BASE_URL + IMAGE_SD_PATH (default /sdapi/v1/txt2img)
+ *                with { prompt, width, height, ... }, answering { images: [base64] }
+ *                or with the image bytes. IMAGE_STEPS, IMAGE_CFG_SCALE,
+ *                IMAGE_SAMPLER and IMAGE_NEGATIVE_PROMPT are passed on when set,
+ *                IMAGE_MODEL as the checkpoint.
+ *   placeholder  no network: a gradient with the prompt written on it, so the
+ *                logo and text steps can be tried without paying for images
+ *
+ * IMAGE_SIZE is WIDTHxHEIGHT (default 1024x1024); OpenAI models only take
+ * their own sizes. It is the size of square images; for the other formats
+ * (lib/formats.js) sizeFor() picks the model's closest size, or for sd the
+ * same number of pixels in the format's shape.
+ *
+ * IMAGE_API_KEY defaults to OPENAI_KEY for openai and is sent as a Bearer
+ * token to sd servers that need one. IMAGE_TIMEOUT_MS (default 300000) bounds
+ * each request.
+ */
+
+const crypto = require("crypto");
+const OpenAI = require("openai").default;
+const sharp = require("sharp");
+const { numberSetting } = require("./settings");
+
+const PROVIDERS = ["openai", "sd", "placeholder"];
+
+// What each OpenAI model accepts, by model name prefix
+const OPENAI_SIZES = {
+  "gpt-image": ["1024x1024", "1024x1536", "1536x1024"],
+  "dall-e-3": ["1024x1024", "1024x1792", "1792x1024"],
+  "dall-e-2": ["1024x1024"],
+};
+
+const DEFAULT_MODELS = {
+  openai: "dall-e-3",
+  sd: "",
+  placeholder: "gradient",
+};
+
+// "1024x1024" -> { width, height }
+function parseSize(value) {
+  const match = String(value || "").trim().match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+  if (!match) throw new Error(`Invalid IMAGE_SIZE "${value}". Use WIDTHxHEIGHT, e.g. 1024x1024.`);
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+function imageSettings() {
+  const provider = String(process.env.IMAGE_PROVIDER || "openai")
+    .trim()
+    .toLowerCase();
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown IMAGE_PROVIDER "${provider}". Use ${PROVIDERS.join(", ")}.`);
+  }
+
+  const size = process.env.IMAGE_SIZE || "1024x1024";
+  return {
+    provider,
+    model: process.env.IMAGE_MODEL || DEFAULT_MODELS[provider],
+    size,
+    ...parseSize(size),
+    baseURL: process.env.IMAGE_BASE_URL || undefined,
+    apiKey: process.env.IMAGE_API_KEY || (provider === "openai" ? process.env.OPENAI_KEY : ""),
+    quality: process.env.IMAGE_QUALITY || undefined,
+    timeoutMs: numberSetting("IMAGE_TIMEOUT_MS", 300000),
+  };
+}
+
+function fromBase64(data) {
+  return Buffer.from(String(data).replace(/^data:[^,]*,/, ""), "base64");
+}
+
+function createOpenAIImages(settings) {
+  const client = new OpenAI({ apiKey: settings.apiKey, baseURL: settings.baseURL, timeout: settings.timeoutMs });
+  const gptImage = settings.model.startsWith("gpt-image");
+
+  async function generate(prompt, { size = settings.size } = {}) {
+    const request = { model: settings.model, prompt, size, n: 1 };
+    // gpt-image models always answer with base64 and reject response_format
+    if (!gptImage) request.response_format = "b64_json";
+    if (settings.quality) request.quality = settings.quality;
+
+    const res = await client.images.generate(request);
+    const image = res.data?.[0];
+    if (!image?.b64_json) throw new Error(`${settings.model} returned no image`);
+
+    return {
+      buffer: fromBase64(image.b64_json),
+      mimeType: `image/${res.output_format || "png"}`,
+      revisedPrompt: image.revised_prompt,
+    };
+  }
+
+  return { generate };
+}
+
+function createSDImages(settings) {
+  if (!settings.baseURL) throw new Error("IMAGE_PROVIDER=sd needs IMAGE_BASE_URL, e.g. http://localhost:7860");
+  const url = new URL(process.env.IMAGE_SD_PATH || "/sdapi/v1/txt2img", settings.baseURL).href;
+
+  async function generate(prompt, { size = settings.size } = {}) {
+    const { width, height } = parseSize(size);
+    const body = { prompt, width, height, batch_size: 1 };
+    const extra = {
+      negative_prompt: process.env.IMAGE_NEGATIVE_PROMPT,
+      steps: numberSetting("IMAGE_STEPS"),
+      cfg_scale: numberSetting("IMAGE_CFG_SCALE"),
+      sampler_name: process.env.IMAGE_SAMPLER,
+    };
+    Object.entries(extra).forEach(([key, value]) => value !== undefined && value !== "" && (body[key] = value));
+    if (settings.model) body.override_settings = { sd_model_checkpoint: settings.model };
+
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(settings.timeoutMs),
+    });
+    if (!res.ok) {
+      const detail = (await res.text().catch(() => "")).slice(0, 200);
+      throw Object.assign(new Error(`Image server returned HTTP ${res.status}${detail ? `: ${detail}` : ""}`), {
+        status: res.status,
+      });
+    }
+
+    const type = res.headers.get("content-type") || "";
+    if (type.startsWith("image/")) return { buffer: Buffer.from(await res.arrayBuffer()), mimeType: type };
+
+    const data = await res.json();
+    const image = (data.images || data.artifacts?.map((a) => a.base64) || [])[0];
+    if (!image) throw new Error("Image server returned no image");
+    return { buffer: fromBase64(image), mimeType: "image/png" };
+  }
+
+  return { generate };
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+function wrapText(text, perLine, maxLines) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && `${line} ${word}`.length > perLine) {
+      lines.push(line);
+      line = "";
+    }
+    line = line ? `${line} ${word}` : word.slice(0, perLine);
+  }
+  if (line) lines.push(line);
+  if (lines.length > maxLines) lines.splice(maxLines - 1, lines.length, `${lines[maxLines - 1].slice(0, perLine - 3)}...`);
+  return lines;
+}
+
+// Two colours from the prompt, so each row gets its own but the same one every time
+function createPlaceholderImages(settings) {
+  async function generate(prompt, { size = settings.size } = {}) {
+    const { width, height } = parseSize(size);
+    const hash = crypto.createHash("sha1").update(prompt).digest();
+    const hue = Math.round((hash[0] / 255) * 360);
+    const from = `hsl(${hue}, 45%, 30%)`;
+    const to = `hsl(${(hue + 40 + (hash[1] % 80)) % 360}, 55%, 55%)`;
+
+    const fontSize = Math.max(12, Math.round(width / 32));
+    const perLine = Math.floor((width * 0.8) / (fontSize * 0.55));
+    const lines = wrapText(prompt, perLine, Math.floor((height * 0.6) / (fontSize * 1.3)));
+    const top = height / 2 - (lines.length * fontSize * 1.3) / 2;
+
+    const svg = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`,
+      '<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">',
+      `<stop offset="0" stop-color="${from}"/><stop offset="1" stop-color="${to}"/>`,
+      "</linearGradient></defs>",
+      '<rect width="100%" height="100%" fill="url(#bg)"/>',
+      `<text x="${width / 2}" y="${fontSize * 1.5}" font-family="sans-serif" font-size="${Math.round(fontSize * 0.7)}" fill="#fff" fill-opacity="0.6" text-anchor="middle">PLACEHOLDER</text>`,
+      ...lines.map(
+        (line, i) =>
+          `<text x="${width / 2}" y="${top + (i + 1) * fontSize * 1.3}" font-family="sans-serif" font-size="${fontSize}" fill="#fff" text-anchor="middle">${escapeXml(line)}</text>`
+      ),
+      "</svg>",
+    ].join("");
+
+    return { buffer: await sharp(Buffer.from(svg)).png().toBuffer(), mimeType: "image/png" };
+  }
+
+  return { generate };
+}
+
+const FACTORIES = {
+  openai: createOpenAIImages,
+  sd: createSDImages,
+  placeholder: createPlaceholderImages,
+};
+
+// Size to ask for an image in `format` (lib/formats.js); the caller crops the difference
+function sizeFor(settings, format) {
+  if (!format || format.name === "square") return settings.size;
+  const ratio = format.width / format.height;
+
+  if (settings.provider === "openai") {
+    const prefix = Object.keys(OPENAI_SIZES).find((p) => settings.model.startsWith(p));
+    if (!prefix) return settings.size;
+    const distance = (size) => {
+      const { width, height } = parseSize(size);
+      return Math.abs(Math.log(width / height / ratio));
+    };
+    return OPENAI_SIZES[prefix].reduce((best, size) => (distance(size) < distance(best) ? size : best));
+  }
+
+  if (settings.provider === "placeholder") return `${format.width}x${format.height}`;
+
+  // Stable Diffusion wants multiples of 64
+  const area = settings.width * settings.height;
+  const round = (n) => Math.max(64, Math.round(n / 64) * 64);
+  return `${round(Math.sqrt(area * ratio))}x${round(Math.sqrt(area / ratio))}`;
+}
+
+function createImageProvider() {
+  const settings = imageSettings();
+
+  return {
+    provider: settings.provider,
+    model: settings.model,
+    name: settings.provider === "openai" ? settings.model : `${settings.provider}${settings.model ? `:${settings.model}` : ""}`,
+    // Recorded with each image in the history
+    params: { size: settings.size, quality: settings.quality, baseURL: settings.baseURL },
+    sizeFor: (format) => sizeFor(settings, format),
+    ...FACTORIES[settings.provider](settings),
+  };
+}
+
+module.exports = { createImageProvider, imageSettings, parseSize };
@@ -0,0 +1,220 @@
+/**
+ * lib/languages.js - Languages a post is written in
+ *
+ * A row's Language column ("hi", "Bengali", "en, hi") wins; otherwise the
+ * brand profile's Languages, then DEFAULT_LANGUAGE (default en). The first
+ * language is the one Generate Content writes in; captions, hashtags and
+ * overlay text are then translated into the others and combined into one post.
+ *
+ * BILINGUAL_LAYOUT combines the captions:
+ *   stacked   (default) one after the other, a blank line between
+ *   divider   with a "---" line between
+ *   labelled  each under its language's own name (हिन्दी, বাংলা, ...)
+ *   or a template using language codes, e.g. "{{hi}}\n\n({{en}})"
+ *
+ * Overlay headline and subline each have to fit on one line of the image:
+ * OVERLAY_LANGUAGES=all (default) joins the languages with " / ", primary
+ * keeps the first only.
+ * Hashtags from every language are mixed, within the usual hashtag count.
+ *
+ * Translations come from the "translate" model (LLM_TRANSLATE_*, lib/llm.js)
+ * and prompt template.
+ */
+
+const { renderPrompt } = require("./prompts");
+const { applyHashtagPolicy, ownTags, parseHashtags } = require("./hashtags");
+const { splitOverlay, joinOverlay } = require("./overlay");
+
+// code -> [English name, own name]
+const LANGUAGES = {
+  en: ["English", "English"],
+  hi: ["Hindi", "हिन्दी"],
+  bn: ["Bengali", "বাংলা"],
+  ta: ["Tamil", "தமிழ்"],
+  te: ["Telugu", "తెలుగు"],
+  mr: ["Marathi", "मराठी"],
+  gu: ["Gujarati", "ગુજરાતી"],
+  pa: ["Punjabi", "ਪੰਜਾਬੀ"],
+  kn: ["Kannada", "ಕನ್ನಡ"],
+  ml: ["Malayalam", "മലയാളം"],
+  or: ["Odia", "ଓଡ଼ିଆ"],
+  ur: ["Urdu", "اردو"],
+  ne: ["Nepali", "नेपाली"],
+  ar: ["Arabic", "العربية"],
+  es: ["Spanish", "Español"],
+  fr: ["French", "Français"],
+  de: ["German", "Deutsch"],
+  pt: ["Portuguese", "Português"],
+  it: ["Italian", "Italiano"],
+  nl: ["Dutch", "Nederlands"],
+  id: ["Indonesian", "Bahasa Indonesia"],
+  zh: ["Chinese", "中文"],
+  ja: ["Japanese", "日本語"],
+};
+
+const LAYOUTS = {
+  stacked: (parts) => parts.map((p) => p.text).join("\n\n"),
+  divider: (parts) => parts.map((p) => p.text).join("\n\n---\n\n"),
+  labelled: (parts) => parts.map((p) => `${p.language.ownName}\n${p.text}`).join("\n\n"),
+};
+
+// "hi", "HI", "hi-IN", "Hindi" or "हिन्दी" -> { code, name, ownName }
+function parseLanguage(value) {
+  const text = String(value || "").trim();
+  if (!text) return null;
+
+  const key = text.toLowerCase().split(/[-_]/)[0];
+  const code =
+    (LANGUAGES[key] && key) ||
+    Object.keys(LANGUAGES).find((c) => LANGUAGES[c].some((n) => n.toLowerCase() === text.toLowerCase()));
+  if (!code) throw new Error(`Unknown language "${text}". Use a code such as ${Object.keys(LANGUAGES).slice(0, 4).join(", ")}.`);
+
+  const [name, ownName] = LANGUAGES[code];
+  return { code, name, ownName };
+}
+
+function parseLanguages(value) {
+  const list = (Array.isArray(value) ? value : String(value || "").split(/[,;/]+/)).map(parseLanguage).filter(Boolean);
+  return list.filter((lang, i) => list.findIndex((l) => l.code === lang.code) === i);
+}
+
+function rowLanguages(row, brand) {
+  const fromRow = row.has("language") ? parseLanguages(row.get("language")) : [];
+  if (fromRow.length) return fromRow;
+  if (brand && brand.languages.length) return parseLanguages(brand.languages);
+  return parseLanguages(process.env.DEFAULT_LANGUAGE || "en");
+}
+
+// `parts` is [{ language, text }] in language order
+function combineCaptions(parts, layout = process.env.BILINGUAL_LAYOUT || "stacked") {
+  const filled = parts.filter((p) => p.text);
+  if (filled.length < 2) return filled.length ? filled[0].text : "";
+
+  if (LAYOUTS[layout]) return LAYOUTS[layout](filled);
+  if (!layout.includes("{{")) {
+    throw new Error(`Unknown BILINGUAL_LAYOUT "${layout}". Use ${Object.keys(LAYOUTS).join(", ")} or a template such as "{{hi}}\\n\\n{{en}}".`);
+  }
+
+  const byCode = Object.fromEntries(filled.map((p) => [p.language.code, p.text]));
+  return layout
+    .replace(/\\n/g, "\n")
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (m, code) => byCode[code] || "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function combineOverlay(parts) {
+  const filled = parts.filter((p) => p.text);
+  if (String(process.env.OVERLAY_LANGUAGES || "all").toLowerCase() === "primary") {
+    return filled.length ? filled[0].text : "";
+  }
+  return filled.map((p) => p.text).join(" / ");
+}
+
+function translationSchema(languages, textCount, hashtagCount) {
+  const properties = {};
+  if (textCount) properties.texts = { type: "array", items: { type: "string" }, description: `${textCount} texts, in order` };
+  if (hashtagCount) properties.hashtags = { type: "array", items: { type: "string" } };
+
+  const language = {
+    type: "object",
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false,
+  };
+
+  return {
+    name: "translations",
+    strict: true,
+    schema: {
+      type: "object",
+      properties: Object.fromEntries(languages.map((l) => [l.code, language])),
+      required: languages.map((l) => l.code),
+      additionalProperties: false,
+    },
+  };
+}
+
+// Round-robin, so every language keeps some tags when the count is cut
+function mixHashtags(lists) {
+  const mixed = [];
+  for (let i = 0; i < Math.max(...lists.map((l) => l.length)); i++) {
+    lists.forEach((list) => list[i] && mixed.push(list[i]));
+  }
+  return mixed;
+}
+
+// Translates the caption(s), overlay text and hashtags of generated `content`
+// from languages[0] into the rest and combines them. Alt text and the image
+// prompt stay in the first language.
+async function translateContent(model, content, { languages, vars, brand, rules }) {
+  const [primary, ...others] = languages;
+  if (!others.length) return content;
+
+  const overlay = splitOverlay(content.overlayText);
+  const texts = [
+    ...(content.captions || []).map((v) => v.caption),
+    ...(content.caption ? [content.caption] : []),
+    ...[overlay.headline, overlay.subline].filter(Boolean),
+  ];
+  const hashtagCount = content.hashtags ? Math.ceil(rules.hashtagCount / languages.length) : 0;
+  if (!texts.length && !hashtagCount) return content;
+
+  const prompt = [
+    renderPrompt("translate", vars, brand),
+    "",
+    ...texts.map((text, i) => `${i + 1}. ${text.replace(/\n+/g, " / ")}`),
+    "",
+    `Reply with JSON with an entry for each of ${others.map((l) => `${l.code} (${l.name})`).join(", ")}: ` +
+      [
+        texts.length ? `texts, the ${texts.length} texts translated, in the same order` : "",
+        hashtagCount ? `hashtags, ${hashtagCount} hashtags in that language for the post` : "",
+      ]
+        .filter(Boolean)
+        .join(", and ") +
+      ".",
+  ].join("\n");
+
+  const result = await model.generateJSON(prompt, translationSchema(others, texts.length, hashtagCount));
+
+  const translated = others.map((language) => {
+    const entry = result[language.code] || {};
+    const list = Array.isArray(entry.texts) ? entry.texts.map((t) => String(t || "").trim()) : [];
+    if (texts.length && list.filter(Boolean).length !== texts.length) {
+      throw Object.assign(new Error(`translation into ${language.name} is incomplete`), { invalidResponse: true });
+    }
+    return { language, texts: list, hashtags: parseHashtags(entry.hashtags) };
+  });
+
+  // Text i in every language, primary first
+  const versions = (i) => [{ language: primary, text: texts[i] }, ...translated.map((t) => ({ language: t.language, text: t.texts[i] }))];
+
+  const localized = { ...content };
+  let next = 0;
+  if (content.captions) {
+    localized.captions = content.captions.map((v) => ({ ...v, caption: combineCaptions(versions(next++)) }));
+  }
+  if (content.caption) localized.caption = combineCaptions(versions(next++));
+  if (overlay.headline) {
+    localized.overlayText = joinOverlay({
+      headline: combineOverlay(versions(next++)),
+      subline: overlay.subline ? combineOverlay(versions(next++)) : "",
+    });
+  }
+  if (content.hashtags) {
+    const mixed = mixHashtags([ownTags(content.hashtags, rules.hashtagPolicy), ...translated.map((t) => t.hashtags)]);
+    localized.hashtags = applyHashtagPolicy(mixed, rules.hashtagPolicy, rules.hashtagCount);
+  }
+
+  return localized;
+}
+
+module.exports = {
+  translateContent,
+  parseLanguage,
+  parseLanguages,
+  rowLanguages,
+  combineCaptions,
+  combineOverlay,
+  LANGUAGES,
+};
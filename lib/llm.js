@@ -0,0 +1,233 @@
+/**
+ * lib/llm.js - Text model per generated field
+ *
+ *   const llm = createLLM("caption");
+ *   const text = await llm.generate(prompt);
+ *   const post = await createLLM("post").generateJSON(prompt, schema);
+ *
+ * "post" is the single structured call that writes the whole post; caption,
+ * hashtags and imagePrompt are used when LLM_STRUCTURED=no, "score" rates
+ * caption variants (lib/variants.js), "moderation" screens posts before
+ * publishing (lib/moderation.js), "translate" writes the other languages of
+ * multi-language posts (lib/languages.js), "plan" the topics of a content
+ * calendar (lib/calendar.js), overlayText and altText the image copy when
+ * LLM_STRUCTURED=no (lib/overlay.js), and imageRewrite image prompts the
+ * image provider's content policy turned down (lib/policy.js). Each reads
+ * LLM_<FIELD>_* (LLM_POST_MODEL, LLM_IMAGE_PROMPT_BASE_URL, ...) and falls
+ * back to LLM_*:
+ *
+ *   PROVIDER     openai (default) | fake
+ *   MODEL        gpt-5 for post/caption/imagePrompt/translate/plan, gpt-5-mini
+ *                for hashtags/score/moderation/overlayText/altText/imageRewrite
+ *   BASE_URL     any OpenAI-compatible server, e.g. http://localhost:11434/v1 (Ollama)
+ *   API_KEY      defaults to OPENAI_KEY
+ *   TEMPERATURE  left to the server when unset
+ *   MAX_TOKENS   left to the server when unset
+ *
+ * e.g. LLM_HASHTAGS_MODEL=llama3.1 LLM_HASHTAGS_BASE_URL=http://localhost:11434/v1
+ *
+ * The fake provider makes no network calls and returns the same text for the
+ * same prompt, for offline runs and staging plans.
+ */
+
+const crypto = require("crypto");
+const OpenAI = require("openai").default;
+
+const DEFAULT_MODELS = {
+  post: "gpt-5",
+  caption: "gpt-5",
+  hashtags: "gpt-5-mini",
+  imagePrompt: "gpt-5",
+  score: "gpt-5-mini",
+  moderation: "gpt-5-mini",
+  translate: "gpt-5",
+  plan: "gpt-5",
+  overlayText: "gpt-5-mini",
+  altText: "gpt-5-mini",
+  imageRewrite: "gpt-5-mini",
+};
+
+const FIELDS = Object.keys(DEFAULT_MODELS);
+
+function envName(field) {
+  return field.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase();
+}
+
+function llmSettings(field) {
+  if (!FIELDS.includes(field)) throw new Error(`No model settings for "${field}"`);
+
+  const read = (key) => process.env[`LLM_${envName(field)}_${key}`] || process.env[`LLM_${key}`] || "";
+  const number = (key) => (read(key) === "" ? undefined : Number(read(key)));
+
+  const settings = {
+    field,
+    provider: read("PROVIDER").toLowerCase() || "openai",
+    model: read("MODEL") || DEFAULT_MODELS[field],
+    baseURL: read("BASE_URL") || undefined,
+    apiKey: read("API_KEY") || process.env.OPENAI_KEY,
+    temperature: number("TEMPERATURE"),
+    maxTokens: number("MAX_TOKENS"),
+  };
+
+  for (const key of ["temperature", "maxTokens"]) {
+    if (Number.isNaN(settings[key])) throw new Error(`${field}: ${key} must be a number`);
+  }
+
+  return settings;
+}
+
+function invalidResponse(message) {
+  return Object.assign(new Error(message), { invalidResponse: true });
+}
+
+function createOpenAIProvider(settings) {
+  const client = new OpenAI({
+    // Local servers ignore the key, but the SDK insists on one
+    apiKey: settings.apiKey || (settings.baseURL ? "not-needed" : undefined),
+    baseURL: settings.baseURL,
+  });
+
+  async function complete(prompt, extra = {}) {
+    const request = {
+      model: settings.model,
+      messages: [{ role: "user", content: prompt }],
+      ...extra,
+    };
+    if (settings.temperature !== undefined) request.temperature = settings.temperature;
+    if (settings.maxTokens !== undefined) {
+      // OpenAI's reasoning models only take max_completion_tokens; compatible servers expect max_tokens
+      request[settings.baseURL ? "max_tokens" : "max_completion_tokens"] = settings.maxTokens;
+    }
+
+    const res = await client.chat.completions.create(request);
+    const message = res.choices?.[0]?.message;
+    if (message?.refusal) throw new Error(`${settings.model} refused: ${message.refusal}`);
+    if (!message?.content || !message.content.trim()) throw new Error(`${settings.model} returned an empty response`);
+    return message.content.trim();
+  }
+
+  async function generate(prompt) {
+    return complete(prompt);
+  }
+
+  // `schema` is { name, strict, schema } as the json_schema response format expects
+  async function generateJSON(prompt, schema) {
+    const text = await complete(prompt, { response_format: { type: "json_schema", json_schema: schema } });
+    try {
+      return JSON.parse(text.replace(/^```(?:json)?\s*|\s*```$/g, ""));
+    } catch {
+      throw invalidResponse(`${settings.model} did not return valid JSON`);
+    }
+  }
+
+  return { generate, generateJSON };
+}
+
+function createFakeProvider(settings) {
+  // `property` is the field's JSON schema, for structured calls; `parent` the
+  // name of the object it is in
+  function fakeValue(field, prompt, property = {}, parent = "") {
+    const hash = crypto.createHash("sha1").update(`${settings.model}\n${field}\n${prompt}`).digest("hex");
+    const topic = (prompt.match(/"([^"]+)"/) || [])[1] || "the topic";
+
+    switch (field) {
+      case "hashtags": {
+        // As many as the prompt asks for; digit-only words would be dropped as tags
+        const count = Number(prompt.match(/exactly (\d+)[^.]*hashtags/)?.[1]) || 10;
+        const words = (topic.toLowerCase().match(/[a-z0-9]+/g) || []).filter((w) => /[a-z]/.test(w));
+        const tags = [...new Set([words.join("") || "post", ...words, "fake", `fake${hash.slice(0, 6)}`])];
+        while (tags.length < count) tags.push(`tag${tags.length}${hash.slice(0, 4)}`);
+        return tags.slice(0, count).map((t) => `#${t}`);
+      }
+      case "imagePrompt":
+        return `A bright, detailed photograph illustrating ${topic}, natural light, clean composition (fake ${hash.slice(0, 8)})`;
+      case "overlayText":
+      case "headline":
+        return topic.slice(0, 40);
+      case "subline":
+        return `fake subline ${hash.slice(0, 6)}`;
+      case "altText":
+        return `Photograph illustrating ${topic}.`;
+      case "imageRewrite":
+        return `A calm, friendly illustration of ${topic}, soft colours, nothing graphic (fake ${hash.slice(0, 8)})`;
+      case "captions": {
+        const count = Number((property.description || "").match(/\d+/)?.[0]) || 3;
+        return Array.from({ length: count }, (_, i) => ({
+          hook: `fake hook ${i + 1}`,
+          caption: `${topic}: placeholder caption ${i + 1} from the fake provider (${hash.slice(i, i + 8)}).`,
+        }));
+      }
+      case "scores":
+        // One score per numbered caption in the prompt
+        return (prompt.match(/^\d+\. /gm) || []).map((_, i) => ({
+          variant: i + 1,
+          score: (parseInt(hash.slice(i * 2, i * 2 + 2), 16) % 10) + 1,
+          reason: "fake score",
+        }));
+      case "texts":
+        // Numbered texts in the prompt, "translated" by tagging them with the language
+        return (prompt.match(/^\d+\. .*$/gm) || []).map((line) => `[${parent}] ${line.replace(/^\d+\. /, "")}`);
+      case "topics":
+        // One per numbered slot line: "3. Wed, 4 Nov 2026 - pillar: Tips - occasion: Diwali"
+        return (prompt.match(/^\d+\. .*$/gm) || []).map((line, i) => {
+          const pillar = (line.match(/pillar: (.*?)( - |$)/) || [])[1] || "post";
+          const occasion = (line.match(/occasion: (.*)$/) || [])[1];
+          return `${pillar}${occasion ? ` for ${occasion}` : ""}: fake topic ${i + 1} (${hash.slice(i, i + 6)})`;
+        });
+      case "flagged":
+        return false;
+      case "reasons":
+        return [];
+      default:
+        return `${topic}: a placeholder caption from the fake provider (${hash.slice(0, 8)}).`;
+    }
+  }
+
+  async function generate(prompt) {
+    const value = fakeValue(settings.field, prompt);
+    return Array.isArray(value) ? value.join(" ") : value;
+  }
+
+  function fakeObject(schema, prompt, parent) {
+    return Object.fromEntries(
+      Object.entries(schema.properties).map(([field, property]) => [
+        field,
+        property.type === "object" ? fakeObject(property, prompt, field) : fakeValue(field, prompt, property, parent),
+      ])
+    );
+  }
+
+  async function generateJSON(prompt, schema) {
+    return fakeObject(schema.schema, prompt, "");
+  }
+
+  return { generate, generateJSON };
+}
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  fake: createFakeProvider,
+};
+
+function createLLM(field) {
+  const settings = llmSettings(field);
+  const create = PROVIDERS[settings.provider];
+  if (!create) {
+    throw new Error(`Unknown LLM provider "${settings.provider}" for ${field}. Use ${Object.keys(PROVIDERS).join(" or ")}.`);
+  }
+
+  return {
+    provider: settings.provider,
+    model: settings.model,
+    name: settings.provider === "openai" ? settings.model : `${settings.provider}:${settings.model}`,
+    // Recorded with each version in the history
+    params: {
+      baseURL: settings.baseURL,
+      temperature: settings.temperature,
+      maxTokens: settings.maxTokens,
+    },
+    ...create(settings),
+  };
+}
+
+module.exports = { createLLM, llmSettings, FIELDS };
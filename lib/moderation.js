@@ -0,0 +1,184 @@
+/**
+ * lib/moderation.js - Brand-safety check before publishing
+ *
+ *   const moderator = createModerator();
+ *   const { flagged, issues } = await moderator.screen(row, brand, { caption, hashtags });
+ *
+ * The Facebook step screens each row's caption, hashtags and TextContent just
+ * before it goes out, as they will be published: the caption and the hashtags
+ * after the hashtag policy are passed in and take the place of the columns.
+ * A flagged row moves to "review" with the issues in StatusDetail instead of
+ * being posted. Whoever reviews it either fixes the text and sets Status back
+ * to approved, which screens it again, or sets Reviewed(yes/no) to yes, which
+ * on its own posts it as it is.
+ * MODERATION=no turns screening off.
+ *
+ * Rule lists, matched as whole words and phrases, ignoring case:
+ *   banned claims  MODERATION_CLAIMS (comma separated; guarantee and medical
+ *                  claims when unset) plus the brand's BannedClaims
+ *   competitors    the brand's Competitors
+ *   banned words   the brand's BannedWords
+ *   profanity      a built-in list plus MODERATION_PROFANITY
+ *
+ * MODERATION_PROVIDER adds a model on top of the lists:
+ *   none    (default) lists only
+ *   openai  OpenAI's moderation endpoint (MODERATION_MODEL, default
+ *           omni-moderation-latest; uses OPENAI_KEY)
+ *   llm     a text model (LLM_MODERATION_*, lib/llm.js) given the "moderation"
+ *           prompt; also works with OpenAI-compatible servers and the fake provider
+ */
+
+const OpenAI = require("openai").default;
+const { findTerms } = require("./brands");
+const { createLLM } = require("./llm");
+const { renderPrompt, promptVariables } = require("./prompts");
+const { toList } = require("./settings");
+
+const PROVIDERS = ["none", "openai", "llm"];
+
+// Row column -> how issues name it
+const SCREENED = {
+  caption: "caption",
+  hashtags: "hashtags",
+  textContent: "overlay text",
+};
+
+const CLAIMS = [
+  "guaranteed",
+  "guarantee",
+  "risk-free",
+  "risk free",
+  "100% effective",
+  "cure",
+  "cures",
+  "miracle",
+  "clinically proven",
+  "doctor recommended",
+  "no side effects",
+  "FDA approved",
+  "instant results",
+  "get rich",
+];
+
+const PROFANITY = [
+  "fuck",
+  "fucking",
+  "fucked",
+  "fucker",
+  "motherfucker",
+  "shit",
+  "shitty",
+  "bullshit",
+  "bitch",
+  "bastard",
+  "asshole",
+  "cunt",
+  "dickhead",
+  "wanker",
+  "twat",
+];
+
+function moderationRules(brand) {
+  const claims = process.env.MODERATION_CLAIMS === undefined ? CLAIMS : toList(process.env.MODERATION_CLAIMS);
+
+  return {
+    "banned claim": [...claims, ...(brand ? brand.bannedClaims : [])],
+    competitor: brand ? brand.competitors : [],
+    "banned word": brand ? brand.bannedWords : [],
+    profanity: [...PROFANITY, ...toList(process.env.MODERATION_PROFANITY)],
+  };
+}
+
+// "caption: banned claim "guaranteed"" for every list entry found in the screened columns
+function screenRules(texts, rules) {
+  const issues = [];
+  for (const [field, text] of Object.entries(texts)) {
+    for (const [kind, terms] of Object.entries(rules)) {
+      findTerms(text, terms).forEach((term) => issues.push(`${SCREENED[field]}: ${kind} "${term}"`));
+    }
+  }
+  return issues;
+}
+
+const VERDICT_SCHEMA = {
+  name: "moderation",
+  strict: true,
+  schema: {
+    type: "object",
+    properties: {
+      flagged: { type: "boolean" },
+      reasons: { type: "array", items: { type: "string" } },
+    },
+    required: ["flagged", "reasons"],
+    additionalProperties: false,
+  },
+};
+
+function createOpenAIScreen() {
+  const client = new OpenAI({ apiKey: process.env.OPENAI_KEY });
+  const model = process.env.MODERATION_MODEL || "omni-moderation-latest";
+
+  return async (texts) => {
+    const fields = Object.keys(texts);
+    const res = await client.moderations.create({ model, input: fields.map((f) => texts[f]) });
+
+    return res.results.flatMap((result, i) => {
+      if (!result.flagged) return [];
+      const categories = Object.keys(result.categories).filter((c) => result.categories[c]);
+      return [`${SCREENED[fields[i]]}: ${categories.join(", ") || "flagged"} (${model})`];
+    });
+  };
+}
+
+function createLLMScreen() {
+  const llm = createLLM("moderation");
+
+  return async (texts, { row, brand }) => {
+    const vars = promptVariables({ company: row.get("company"), topic: row.get("topic"), website: row.get("website") }, brand);
+    const prompt = [
+      renderPrompt("moderation", vars, brand),
+      "",
+      ...Object.entries(texts).map(([field, text]) => `${SCREENED[field]}: ${text}`),
+      "",
+      "Reply with JSON: flagged (true or false) and reasons, one short sentence per problem.",
+    ].join("\n");
+
+    const { flagged, reasons } = await llm.generateJSON(prompt, VERDICT_SCHEMA);
+    if (!flagged) return [];
+    return (reasons && reasons.length ? reasons : ["flagged"]).map((r) => `${llm.name}: ${r}`);
+  };
+}
+
+function createModerator() {
+  const enabled = String(process.env.MODERATION || "yes").toLowerCase() !== "no";
+  const provider = String(process.env.MODERATION_PROVIDER || "none")
+    .trim()
+    .toLowerCase();
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown MODERATION_PROVIDER "${provider}". Use ${PROVIDERS.join(", ")}.`);
+  }
+
+  const modelScreen = provider === "openai" ? createOpenAIScreen() : provider === "llm" ? createLLMScreen() : null;
+
+  // `published` ({ caption, hashtags, textContent }) takes the place of the
+  // row's columns. Errors from the model are thrown: nothing goes out unscreened
+  async function screen(row, brand, published = {}) {
+    if (!enabled) return { flagged: false, issues: [] };
+
+    const texts = {};
+    Object.keys(SCREENED).forEach((field) => {
+      const text = field in published ? published[field] : row.has(field) ? row.get(field) : "";
+      if (text) texts[field] = text;
+    });
+    if (!Object.keys(texts).length) return { flagged: false, issues: [] };
+
+    const issues = screenRules(texts, moderationRules(brand));
+    if (modelScreen) issues.push(...(await modelScreen(texts, { row, brand })));
+
+    return { flagged: issues.length > 0, issues };
+  }
+
+  return { screen, enabled, provider };
+}
+
+module.exports = { createModerator, moderationRules, screenRules };
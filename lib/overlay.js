@@ -0,0 +1,97 @@
+/**
+ * lib/overlay.js - Overlay copy and alt text for the final image
+ *
+ * Overlay text is a headline and an optional subline, kept in TextContent as
+ * two lines. Embed Text prints the headline at FONT_SIZE (default 30) and the
+ * subline at SUBLINE_SCALE (default 0.7) of it, each on one line, so the
+ * character budget comes from the layout Embed Text uses for the row's
+ * format (layoutFor in lib/formats.js: the font scaled to the image width and
+ * the format's textScale, inside its margins). The width is IMAGE_WIDTH, or
+ * else the width in IMAGE_SIZE (default 1024x1024, what Generate Image
+ * produces):
+ *
+ *   OVERLAY_MAX_LENGTH           headline, default what fits across the image
+ *   OVERLAY_SUBLINE_MAX_LENGTH   subline, the same at the smaller size; 0 for
+ *                                headlines only
+ *
+ * Generate Content writes the overlay for rows with EmbedText(yes/no) set to
+ * yes and no TextContent, unless OVERLAY_TEXT=no, and alt text for rows
+ * without AltText unless ALT_TEXT=no. Alt text is written before the image
+ * exists, so the Facebook step adds the text printed on it when the
+ * description doesn't already quote it (finalAltText).
+ */
+
+const { parseSize } = require("./images");
+const { layoutFor, parseFormat } = require("./formats");
+const { numberSetting } = require("./settings");
+
+// Average glyph width as a share of the font size, for a typical sans serif
+const CHAR_WIDTH = 0.55;
+
+function enabled(name) {
+  return String(process.env[name] || "yes").toLowerCase() !== "no";
+}
+
+function fontSize() {
+  return numberSetting("FONT_SIZE", 30);
+}
+
+function sublineScale() {
+  return numberSetting("SUBLINE_SCALE", 0.7);
+}
+
+// Characters of `size` px text that fit on one line of a `width` px image with `margin` px each side
+function charsThatFit(width, size, margin = 10) {
+  return Math.max(10, Math.floor((width - margin * 2) / (size * CHAR_WIDTH)));
+}
+
+function imageWidth() {
+  return numberSetting("IMAGE_WIDTH") || parseSize(process.env.IMAGE_SIZE || "1024x1024").width;
+}
+
+// Budgets for an image in `format` (default DEFAULT_FORMAT), laid out as Embed Text does
+function overlaySettings(format = parseFormat("")) {
+  const width = imageWidth();
+  const height = Math.round((width * format.height) / format.width);
+  const { fontSize: size, margin } = layoutFor(format, width, height, { fontSize: fontSize() });
+
+  return {
+    generateOverlay: enabled("OVERLAY_TEXT"),
+    generateAltText: enabled("ALT_TEXT"),
+    headlineMaxLength: numberSetting("OVERLAY_MAX_LENGTH", charsThatFit(width, size, margin.x), { allowZero: true }),
+    sublineMaxLength: numberSetting(
+      "OVERLAY_SUBLINE_MAX_LENGTH",
+      charsThatFit(width, Math.round(size * sublineScale()), margin.x),
+      { allowZero: true }
+    ),
+  };
+}
+
+// "Headline\nSubline" -> { headline, subline }
+function splitOverlay(text) {
+  const [headline = "", ...rest] = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  return { headline, subline: rest.join(" ") };
+}
+
+function joinOverlay({ headline, subline }) {
+  return [headline, subline]
+    .map((line) => String(line || "").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Alt text for the published image: the generated description, plus the
+// overlay text when it was printed on the image and isn't quoted already
+function finalAltText(altText, overlayText) {
+  const description = String(altText || "").trim();
+  const { headline, subline } = splitOverlay(overlayText);
+  if (!headline || description.toLowerCase().includes(headline.toLowerCase())) return description;
+
+  const printed = subline ? `"${headline}" and "${subline}"` : `"${headline}"`;
+  return `${description}${description && !/[.!?]$/.test(description) ? "." : ""} Text on the image: ${printed}.`.trim();
+}
+
+module.exports = { overlaySettings, splitOverlay, joinOverlay, finalAltText, charsThatFit, sublineScale };
@@ -0,0 +1,62 @@
+/**
+ * lib/policy.js - Image prompts turned down by the provider's content policy
+ *
+ * OpenAI's safety system rejects some harmless prompts, often ones about
+ * medicine, security or anything that sounds like it. When Generate Image
+ * gets such a rejection (and only then; other errors retry or fail as usual),
+ * the prompt is rewritten by the "imageRewrite" model (LLM_IMAGE_REWRITE_*,
+ * gpt-5-mini by default) with the imageRewrite prompt template, and tried
+ * again, up to IMAGE_PROMPT_REWRITES times (default 2; 0 turns this off).
+ *
+ * The rewritten prompt replaces ImagePrompt. The original stays in the
+ * history, and the rewrite is recorded next to it with the reason it was
+ * needed.
+ */
+
+const { createLLM } = require("./llm");
+const { renderPrompt } = require("./prompts");
+
+// Error codes and wording the images API uses for safety rejections
+const POLICY_CODES = ["content_policy_violation", "moderation_blocked"];
+const POLICY_MESSAGE = /safety system|content policy|content_policy_violation|moderation_blocked/i;
+
+function policySettings() {
+  const raw = process.env.IMAGE_PROMPT_REWRITES;
+  const rewrites = raw === undefined || raw === "" ? 2 : Math.floor(Number(raw));
+  if (!Number.isFinite(rewrites) || rewrites < 0) throw new Error("IMAGE_PROMPT_REWRITES must be 0 or more");
+  return { rewrites };
+}
+
+// True for a safety rejection of the prompt, as opposed to any other error
+function isPolicyRejection(err) {
+  if (!err || typeof err !== "object") return false;
+  const code = err.code || err.error?.code;
+  if (POLICY_CODES.includes(code)) return true;
+  return (err.status === 400 || err.status === undefined) && POLICY_MESSAGE.test(err.message || "");
+}
+
+function createPromptRewriter() {
+  const llm = createLLM("imageRewrite");
+
+  // A policy-compliant version of `prompt`, showing the same subject
+  async function rewrite(prompt, reason, { vars = {}, brand } = {}) {
+    const request = [
+      renderPrompt("imageRewrite", vars, brand),
+      "",
+      `Prompt: ${prompt}`,
+      `Rejected with: ${reason}`,
+    ].join("\n");
+
+    const rewritten = String(await llm.generate(request))
+      .trim()
+      .replace(/^prompt:\s*/i, "")
+      .replace(/^"(.*)"$/s, "$1");
+    if (!rewritten) throw new Error(`${llm.name} returned an empty prompt`);
+    if (rewritten === prompt) throw new Error(`${llm.name} returned the rejected prompt unchanged`);
+    return rewritten;
+  }
+
+  return { name: llm.name, rewrite };
+}
+
+module.exports = { policySettings, isPolicyRejection, createPromptRewriter };
@@ -0,0 +1,273 @@
+/**
+ * lib/prompts.js - Prompt templates for content generation
+ *
+ * Templates use {{variable}} placeholders:
+ *
+ *   company, topic, website       from the row (website falls back to the brand's)
+ *   voice, audience, ctaStyle,    from the company's brand profile (lib/brands.js)
+ *   emojiPolicy, bannedWords,
+ *   examplePosts
+ *   brandGuide                    all of the brand profile as one block of instructions
+ *   hashtagCount                  how many hashtags to write: HASHTAG_COUNT less the
+ *                                 brand's own tags (lib/content.js)
+ *   language, otherLanguages      the row's first language and the ones it is
+ *                                 translated into (lib/languages.js)
+ *   languageGuide                 "Write in Hindi..." when the first language isn't English
+ *   websiteContext                title, description and key paragraphs of the
+ *                                 row's SourceUrl or website (lib/website.js)
+ *   imageContext                  the row's image prompt and the text printed on
+ *                                 the image, for the altText template
+ *
+ * "post" is the structured call that writes the whole post; lib/content.js
+ * adds the list of JSON fields to it. caption, hashtags, imagePrompt,
+ * overlayText and altText are the separate calls used with
+ * LLM_STRUCTURED=no. "score" rates caption variants (lib/variants.js), which
+ * adds the numbered captions, and "moderation" screens a post before
+ * publishing (lib/moderation.js).
+ * "translate" turns the generated text into the row's other languages, and
+ * "plan" writes the topics for a content calendar (plan.js, lib/calendar.js),
+ * which adds the dated slots to fill. "imageRewrite" rewrites an image prompt
+ * the image provider turned down (lib/policy.js), which adds the prompt and
+ * the rejection.
+ *
+ * A line that only holds placeholders and renders empty is dropped, so
+ * templates read the same for companies without a profile.
+ *
+ * The built-in templates can be replaced for every company in prompts.json
+ * (PROMPTS_FILE), and for one company in its brand profile. A template is a
+ * string or an array of lines.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+
+const DEFAULT_TEMPLATES = {
+  post: [
+    'Write one single, professional social media post for {{company}} about "{{topic}}".',
+    "{{websiteContext}}",
+    "{{brandGuide}}",
+    "{{languageGuide}}",
+  ],
+  caption: [
+    'Write one single, professional social media caption for {{company}} about "{{topic}}".',
+    "{{websiteContext}}",
+    "{{brandGuide}}",
+    "{{languageGuide}}",
+    "Return ONLY the caption text.",
+  ],
+  hashtags: [
+    'Generate exactly {{hashtagCount}} relevant social media hashtags for "{{topic}}".',
+    "{{brandGuide}}",
+    "{{languageGuide}}",
+    "Return ONLY hashtags separated by spaces.",
+  ],
+  imagePrompt: [
+    'Write one single detailed AI image prompt for a social media post about "{{topic}}" for {{company}}. Do not add any kind of text adding instructions in the prompt',
+    "{{websiteContext}}",
+    "Return ONLY the prompt.",
+  ],
+  overlayText: [
+    'Write the text to print on the image of a social media post for {{company}} about "{{topic}}": a short headline on the first line and, if it helps, a subline on the second.',
+    "{{brandGuide}}",
+    "{{languageGuide}}",
+    "Return ONLY the one or two lines.",
+  ],
+  altText: [
+    "Write alt text for the image of a social media post for {{company}}, for people using screen readers. Describe what the image shows, in one or two plain sentences.",
+    "{{imageContext}}",
+    "Return ONLY the alt text.",
+  ],
+  score: [
+    'Score each of these social media captions for {{company}} about "{{topic}}" on how likely it is to stop the scroll and get a reaction, and how well it fits the brand.',
+    "{{brandGuide}}",
+  ],
+  translate: [
+    "Translate these texts from a social media post by {{company}} from {{language}} into {{otherLanguages}}.",
+    "Write the way native speakers post on social media rather than word for word. Keep names, brand names, links, numbers and emojis as they are.",
+    "{{brandGuide}}",
+  ],
+  plan: [
+    "Plan social media post topics for {{company}}: one topic for each slot below, on the slot's content pillar. Where a slot has an occasion, tie the topic to it when it suits the brand. Every topic must be different from the others and from the recent topics. Write each topic as a short, specific line a writer could turn into a post.",
+    "{{websiteContext}}",
+    "{{brandGuide}}",
+  ],
+  imageRewrite: [
+    'An image generator turned down this prompt for a social media image for {{company}} about "{{topic}}" under its content policy. Rewrite it so it clearly meets the policy while showing the same subject: describe people, medicine, technology and risks in a neutral, non-graphic way, and leave out violence, injuries, weapons, real people, brand names and anything sexual.',
+    "Keep the style, setting and composition. Do not add instructions to write text on the image.",
+    "Return ONLY the new prompt.",
+  ],
+  moderation: [
+    "Check this social media post for {{company}} before it is published. Flag it if it breaks social platform policies (hate, harassment, violence, adult content, self-harm, dangerous or illegal activity), makes health, financial or guaranteed-result claims that can't be backed up, mentions competitors, or is misleading.",
+    "{{brandGuide}}",
+  ],
+};
+
+const TEMPLATE_NAMES = Object.keys(DEFAULT_TEMPLATES);
+
+const VARIABLES = [
+  "company",
+  "topic",
+  "website",
+  "voice",
+  "audience",
+  "ctaStyle",
+  "emojiPolicy",
+  "bannedWords",
+  "examplePosts",
+  "brandGuide",
+  "hashtagCount",
+  "websiteContext",
+  "language",
+  "otherLanguages",
+  "languageGuide",
+  "imageContext",
+];
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+function promptsFile() {
+  return path.resolve(ROOT, process.env.PROMPTS_FILE || "prompts.json");
+}
+
+function toText(template) {
+  return Array.isArray(template) ? template.join("\n") : String(template);
+}
+
+// Throws on placeholders that would otherwise go to the model as typed
+function checkTemplate(template, where) {
+  const unknown = [...toText(template).matchAll(PLACEHOLDER)]
+    .map((m) => m[1])
+    .filter((name) => !VARIABLES.includes(name));
+
+  if (unknown.length) {
+    throw new Error(`Unknown variable(s) ${unknown.map((v) => `{{${v}}}`).join(", ")} in ${where}`);
+  }
+}
+
+function checkTemplates(templates, where) {
+  for (const [name, template] of Object.entries(templates || {})) {
+    if (!TEMPLATE_NAMES.includes(name)) {
+      throw new Error(`Unknown prompt "${name}" in ${where}. Use one of: ${TEMPLATE_NAMES.join(", ")}`);
+    }
+    checkTemplate(template, `${where} (${name})`);
+  }
+}
+
+let fileTemplates = null;
+
+function loadTemplates() {
+  if (fileTemplates) return fileTemplates;
+
+  const file = promptsFile();
+  if (!fs.existsSync(file)) return (fileTemplates = {});
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not parse ${path.basename(file)}: ${err.message}`);
+  }
+
+  checkTemplates(data, path.basename(file));
+  return (fileTemplates = data);
+}
+
+function brandGuide(brand) {
+  if (!brand) return "";
+
+  const lines = [];
+  if (brand.voice) lines.push(`Brand voice: ${brand.voice}`);
+  if (brand.audience) lines.push(`Audience: ${brand.audience}`);
+  if (brand.ctaStyle) lines.push(`Call to action: ${brand.ctaStyle}`);
+  if (brand.emojiPolicy) lines.push(`Emojis: ${brand.emojiPolicy}`);
+  if (brand.bannedWords.length) lines.push(`Never use these words: ${brand.bannedWords.join(", ")}`);
+  if (brand.examplePosts.length) {
+    lines.push("Example posts in the brand's style:");
+    brand.examplePosts.forEach((post) => lines.push(`- ${post}`));
+  }
+
+  return lines.join("\n");
+}
+
+function websiteContext(company, page) {
+  if (!page || (!page.description && !page.paragraphs.length)) return "";
+
+  const lines = [`From ${company}'s website (${page.url}):`];
+  if (page.title) lines.push(`Title: ${page.title}`);
+  if (page.description) lines.push(`Description: ${page.description}`);
+  page.paragraphs.forEach((p) => lines.push(`- ${p}`));
+  lines.push("Use these details where they fit. Don't invent products or offers the website doesn't mention.");
+
+  return lines.join("\n");
+}
+
+// What alt text written before the image exists has to go on
+function imageContext(imagePrompt, overlayText) {
+  const lines = [];
+  if (imagePrompt) lines.push(`The image was made from this prompt: ${imagePrompt}`);
+  if (overlayText) lines.push(`Text printed on the image: ${String(overlayText).replace(/\n+/g, " / ")}`);
+  return lines.join("\n");
+}
+
+function languageGuide(language) {
+  if (!language || language.code === "en") return "";
+  return `Write the post in ${language.name}. Hashtags may be in ${language.name} or English; the image prompt stays in English.`;
+}
+
+// `page` is what lib/website.js read from the row's SourceUrl or website, if anything;
+// `languages` come from lib/languages.js, first one first
+function promptVariables({ company, topic, website, page, languages = [] }, brand, rules) {
+  return {
+    company,
+    topic,
+    website: website || brand?.website || "",
+    voice: brand?.voice || "",
+    audience: brand?.audience || "",
+    ctaStyle: brand?.ctaStyle || "",
+    emojiPolicy: brand?.emojiPolicy || "",
+    bannedWords: brand ? brand.bannedWords.join(", ") : "",
+    examplePosts: brand ? brand.examplePosts.join("\n") : "",
+    brandGuide: brandGuide(brand),
+    hashtagCount: rules ? rules.hashtagCount : 10,
+    websiteContext: websiteContext(company, page),
+    language: languages.length ? languages[0].name : "English",
+    otherLanguages: languages
+      .slice(1)
+      .map((l) => l.name)
+      .join(", "),
+    languageGuide: languageGuide(languages[0]),
+  };
+}
+
+function renderTemplate(template, vars) {
+  return toText(template)
+    .split("\n")
+    .flatMap((line) => {
+      const rendered = line.replace(PLACEHOLDER, (m, name) => (vars[name] == null ? "" : String(vars[name])));
+      const placeholdersOnly = line.trim() !== "" && line.replace(PLACEHOLDER, "").trim() === "";
+      return placeholdersOnly && !rendered.trim() ? [] : [rendered];
+    })
+    .join("\n");
+}
+
+// Brand template, then prompts.json, then the built-in one
+function renderPrompt(name, vars, brand) {
+  if (!TEMPLATE_NAMES.includes(name)) throw new Error(`Unknown prompt "${name}"`);
+
+  const template = brand?.prompts?.[name] || loadTemplates()[name] || DEFAULT_TEMPLATES[name];
+  return renderTemplate(template, vars);
+}
+
+module.exports = {
+  renderPrompt,
+  renderTemplate,
+  promptVariables,
+  imageContext,
+  loadTemplates,
+  checkTemplates,
+  DEFAULT_TEMPLATES,
+  TEMPLATE_NAMES,
+  VARIABLES,
+};
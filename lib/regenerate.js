@@ -0,0 +1,149 @@
+/**
+ * lib/regenerate.js - "Regenerate" column requests
+ *
+ *   caption
+ *   caption, hashtags: shorter and more playful
+ *   image logo: warmer colours, no people
+ *
+ * Fields are caption, hashtags, image, logo and text, optionally followed by
+ * ":" and feedback for the model. 1.gencontent.js reads the request:
+ * caption/hashtags are rewritten there and then; image, logo and text clear
+ * that step's output and everything after it, and move the row back so the
+ * later steps run again. The feedback is moved to the Feedback column, with
+ * the fields whose prompts take it (caption, hashtags and image), so the steps
+ * that rerun can add it to their prompts. Each of those steps removes its
+ * field once the new output is written, and the column empties with the last.
+ */
+
+const { PIPELINE, getStatus, setStatus, isPublished } = require("./status");
+const { clearRetry } = require("./retry");
+
+const TEXT_OUTPUTS = ["textEmbedComplete", "imageWithText", "renditionLinks"];
+const LOGO_OUTPUTS = ["logoEmbedComplete", "imageWithLogo", ...TEXT_OUTPUTS];
+const IMAGE_OUTPUTS = ["genImage", "genComplete", "candidates", "imageChoice", ...LOGO_OUTPUTS];
+
+// clear: cells emptied by the request; reopen: state the row goes back to
+const FIELDS = {
+  caption: { clear: ["caption"] },
+  hashtags: { clear: ["hashtags"] },
+  image: { clear: IMAGE_OUTPUTS, reopen: "content_ready" },
+  logo: { clear: LOGO_OUTPUTS, reopen: "image_ready" },
+  text: { clear: TEXT_OUTPUTS, reopen: "branded" },
+};
+
+const ALIASES = {
+  tags: "hashtags",
+  hashtag: "hashtags",
+  images: "image",
+  picture: "image",
+  overlay: "text",
+};
+
+const CONTENT_FIELDS = ["caption", "hashtags"];
+
+// Fields whose steps put feedback into a prompt; logo and text are redrawn as they are
+const FEEDBACK_FIELDS = [...CONTENT_FIELDS, "image"];
+
+function parseRegenerate(value) {
+  const text = String(value || "").trim();
+  const colon = text.indexOf(":");
+  const list = colon === -1 ? text : text.slice(0, colon);
+  const feedback = colon === -1 ? "" : text.slice(colon + 1).trim();
+
+  const fields = [];
+  const unknown = [];
+
+  list
+    .toLowerCase()
+    .split(/[\s,;/+&]+/)
+    .filter((t) => t && t !== "and")
+    .forEach((token) => {
+      const field = ALIASES[token] || token;
+      if (!FIELDS[field]) unknown.push(token);
+      else if (!fields.includes(field)) fields.push(field);
+    });
+
+  return { fields, unknown, feedback };
+}
+
+// Feedback from the last request, if it covered `field`
+function feedbackFor(row, field) {
+  if (!row.has("feedback")) return "";
+  const { fields, feedback } = parseRegenerate(row.get("feedback"));
+  return fields.includes(field) ? feedback : "";
+}
+
+// Takes the `done` fields out of Feedback once their regenerated output is written
+function clearFeedback(row, done) {
+  if (!row.has("feedback") || !row.get("feedback")) return;
+  const { fields, feedback } = parseRegenerate(row.get("feedback"));
+  const left = fields.filter((field) => !done.includes(field));
+  if (left.length === fields.length) return;
+  row.set("feedback", left.length && feedback ? `${left.join(", ")}: ${feedback}` : "");
+}
+
+function hasRequest(row) {
+  return row.has("regenerate") && row.get("regenerate") !== "";
+}
+
+// Apply the row's Regenerate request and clear it. Returns null when there
+// is nothing (valid) to do, otherwise { fields, feedback, raw, previous }
+// where `previous` holds the cleared caption/hashtags for undoing a failed rewrite.
+function applyRegenerate(row) {
+  if (!hasRequest(row)) return null;
+
+  const raw = row.get("regenerate");
+  const { fields, unknown, feedback } = parseRegenerate(raw);
+  row.set("regenerate", "");
+
+  if (unknown.length) {
+    console.log(`Row ${row.rowNumber}: unknown Regenerate field(s) ignored: ${unknown.join(", ")}`);
+  }
+
+  const status = getStatus(row);
+  if (isPublished(status)) {
+    console.log(`Row ${row.rowNumber}: already ${status}, Regenerate ignored`);
+    return null;
+  }
+  if (!fields.length) return null;
+
+  const previous = {};
+  fields.forEach((field) => {
+    FIELDS[field].clear.forEach((key) => {
+      if (!row.has(key)) return;
+      if (CONTENT_FIELDS.includes(key)) previous[key] = row.get(key);
+      row.set(key, "");
+    });
+  });
+
+  // Earliest step asked for wins; never moves a row forward
+  const reopen = fields
+    .map((f) => FIELDS[f].reopen)
+    .filter(Boolean)
+    .sort((a, b) => PIPELINE.indexOf(a) - PIPELINE.indexOf(b))[0];
+
+  if (reopen && (status === "failed" || PIPELINE.indexOf(reopen) < PIPELINE.indexOf(status))) {
+    setStatus(row, reopen, `regenerate: ${fields.join(", ")}`);
+  }
+
+  const prompted = fields.filter((field) => FEEDBACK_FIELDS.includes(field));
+  if (row.has("feedback")) row.set("feedback", feedback && prompted.length ? `${prompted.join(", ")}: ${feedback}` : "");
+  clearRetry(row);
+  // New text hasn't been through the brand-safety check yet
+  if (row.has("reviewed")) row.set("reviewed", "");
+
+  console.log(`Row ${row.rowNumber}: regenerating ${fields.join(", ")}${feedback ? ` with feedback "${feedback}"` : ""}`);
+  return { fields, feedback, raw, previous };
+}
+
+module.exports = {
+  parseRegenerate,
+  applyRegenerate,
+  feedbackFor,
+  clearFeedback,
+  hasRequest,
+  CONTENT_FIELDS,
+  IMAGE_OUTPUTS,
+  LOGO_OUTPUTS,
+  TEXT_OUTPUTS,
+};
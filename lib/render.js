@@ -0,0 +1,339 @@
+/**
+ * lib/render.js - Drawing the logo and the overlay text onto an image
+ *
+ * Shared by Embed Logo, Embed Text and Renditions, which draw the same logo
+ * and text onto each format. Sizes and margins come from the format's layout
+ * (lib/formats.js), so a story keeps them clear of the app's own buttons.
+ * Text is drawn with canvas, loaded only when text is drawn; Google Fonts
+ * named in TextFont are downloaded to ./fonts the first time.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const https = require("https");
+const sharp = require("sharp");
+const { layoutFor, parseFormat } = require("./formats");
+const { splitOverlay, sublineScale } = require("./overlay");
+const { numberSetting } = require("./settings");
+
+// ---------------- POSITIONS ----------------
+function normalizePosition(raw) {
+  const v = String(raw || "")
+    .toLowerCase()
+    .replace(/\s+/g, "")
+    .replace(/\//g, "");
+  if (!v) return "TopCenter";
+
+  if (v === "top" || v === "topcenter") return "TopCenter";
+  if (v === "topleft") return "TopLeft";
+  if (v === "topright") return "TopRight";
+  if (v === "center" || v === "middle") return "Center";
+  if (v === "centerleft") return "CenterLeft";
+  if (v === "centerright") return "CenterRight";
+  if (v === "bottom" || v === "bottomcenter") return "BottomCenter";
+  if (v === "bottomleft") return "BottomLeft";
+  if (v === "bottomright") return "BottomRight";
+
+  console.warn(`Unrecognized position "${raw}", defaulting to TopCenter`);
+  return "TopCenter";
+}
+
+// "TopLeft" -> ["Top", "Left"]; "Center" is both
+function splitPosition(pos) {
+  if (pos === "Center") return ["Center", "Center"];
+  const [, vertical, horizontal] = pos.match(/^(Top|Center|Bottom)(Left|Center|Right)$/) || [, "Top", "Center"];
+  return [vertical, horizontal];
+}
+
+// ---------------- COLORS ----------------
+function normalizeColor(colorStr) {
+  colorStr = String(colorStr).trim().toLowerCase();
+  if (colorStr === "white") return "#ffffff";
+  if (colorStr === "black") return "#000000";
+  if (colorStr === "red") return "#ff0000";
+  if (colorStr.startsWith("#")) return colorStr;
+  // If 6 hex digits without hash
+  if (/^[0-9a-f]{6}$/.test(colorStr)) return `#${colorStr}`;
+  return colorStr;
+}
+
+// "Opaque Black", "Translucent White", "None" -> { bgColor, bgAlpha }
+function parseBackground(raw) {
+  const text = String(raw || "Opaque Black");
+  if (text.toLowerCase() === "none") return { bgColor: null, bgAlpha: 1.0 };
+
+  const translucent = text.toLowerCase().includes("translucent");
+  const color = text.replace(/opaque|translucent/gi, "").trim() || "Black";
+  return { bgColor: normalizeColor(color), bgAlpha: translucent ? 0.5 : 1.0 };
+}
+
+// ---------------- FONTS ----------------
+function fetchGoogleFontsCSS(fontFamily) {
+  return new Promise((resolve, reject) => {
+    const cssUrl = `https://fonts.googleapis.com/css2?family=${encodeURIComponent(fontFamily)}:wght@400&display=swap`;
+    console.log(`Fetching CSS for font: ${fontFamily}`);
+    console.log(`URL: ${cssUrl}\n`);
+    https
+      .get(cssUrl, (res) => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`Failed to fetch CSS: ${res.statusCode}`));
+          return;
+        }
+        let cssData = "";
+        res.on("data", (chunk) => {
+          cssData += chunk;
+        });
+        res.on("end", () => {
+          resolve(cssData);
+        });
+      })
+      .on("error", reject);
+  });
+}
+
+function extractFontInfos(cssData, inputFamily) {
+  const fontInfos = [];
+  // Match @font-face blocks
+  const blockPattern = /\/\*\s*([^/*]+?)\s*\*\/\s*(@font-face\s*\{[\s\S]*?\})/gi;
+  let match;
+  while ((match = blockPattern.exec(cssData)) !== null) {
+    const subset = match[1].trim().toLowerCase();
+    const blockStr = match[2];
+
+    // Check family
+    const familyMatch = blockStr.match(/font-family\s*:\s*['"]([^'"]+)['"]/i);
+    if (!familyMatch) continue;
+    const family = familyMatch[1].trim();
+
+    // Check weight
+    const weightMatch = blockStr.match(/font-weight\s*:\s*([\d,]+)/i);
+    const weight = weightMatch ? weightMatch[1].trim() : "400";
+
+    // Parse src url
+    const srcPattern = /url\s*\(\s*(['"]?)(https?:\/\/[^'")\s]+)\s*\1\s*\)\s*format\s*\(\s*['"]([^'"]+)['"]\s*\)/gi;
+    let srcMatch;
+    while ((srcMatch = srcPattern.exec(blockStr)) !== null) {
+      const url = srcMatch[2];
+      const format = srcMatch[3].toLowerCase();
+      // Only want ttf or otf
+      if (!["truetype", "opentype"].includes(format)) continue;
+
+      if (subset === "latin") {
+        const ext = format === "truetype" ? "ttf" : "otf";
+        const fileName = `${family.toLowerCase().replace(/\s+/g, "")}-${weight}.${ext}`;
+        fontInfos.push({ url, fileName, family });
+        break;
+      }
+    }
+  }
+
+  // Fallback: search for any TTF/OTF link if no specific latin subset block found
+  if (fontInfos.length === 0) {
+    const fallbackPattern = /url\s*\(\s*(['"]?)(https?:\/\/[^'")\s]+\.(?:ttf|otf))\s*\1\s*\)/gi;
+    const fbMatch = fallbackPattern.exec(cssData);
+    if (fbMatch) {
+      const url = fbMatch[2];
+      const ext = path.extname(new URL(url).pathname) || ".ttf";
+      const fileName = `${inputFamily.toLowerCase().replace(/\s+/g, "")}-regular${ext}`;
+      fontInfos.push({ url, fileName, family: inputFamily });
+    }
+  }
+  return fontInfos;
+}
+
+function downloadFont(fontUrl, filePath) {
+  return new Promise((resolve, reject) => {
+    console.log(`Downloading font from: ${fontUrl}`);
+    const file = fs.createWriteStream(filePath);
+    https
+      .get(fontUrl, (res) => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`Failed to download font: ${res.statusCode}`));
+          return;
+        }
+        res.pipe(file);
+        file.on("finish", () => {
+          file.close();
+          console.log(`Font downloaded to: ${filePath}\n`);
+          resolve();
+        });
+      })
+      .on("error", reject);
+  });
+}
+
+async function getFontPath(fontFamily) {
+  const fontDir = "./fonts";
+  if (!fs.existsSync(fontDir)) {
+    fs.mkdirSync(fontDir, { recursive: true });
+    console.log(`Created fonts directory: ${fontDir}`);
+  }
+
+  // Optimistic check: if we already have a file that looks right
+  const simpleName = `${fontFamily.toLowerCase().replace(/\s+/g, "")}-regular.ttf`;
+  const simplePath = path.join(fontDir, simpleName);
+  if (fs.existsSync(simplePath)) {
+    console.log(`Font file already exists (cached): ${simplePath}`);
+    return { filePath: simplePath, family: fontFamily };
+  }
+
+  console.log(`Downloading Google Font: ${fontFamily}`);
+  const cssData = await fetchGoogleFontsCSS(fontFamily);
+  const fontInfos = extractFontInfos(cssData, fontFamily);
+
+  if (fontInfos.length === 0) {
+    throw new Error(`No TTF/OTF font files found for ${fontFamily}. It might only be available in WOFF2.`);
+  }
+
+  const info = fontInfos[0];
+  const filePath = path.join(fontDir, info.fileName);
+
+  if (fs.existsSync(filePath)) {
+    console.log(`Font file already exists: ${filePath}`);
+    return { filePath, family: info.family };
+  }
+
+  await downloadFont(info.url, filePath);
+  return { filePath, family: info.family };
+}
+
+// ---------------- LOGO ----------------
+// Top-left corner of a logoW x logoH logo at `pos`, `margin` ({ x, top, bottom }) from the edges
+function computePosition(baseW, baseH, logoW, logoH, pos, margin) {
+  const [vertical, horizontal] = splitPosition(pos);
+
+  const left = {
+    Left: margin.x,
+    Center: Math.round((baseW - logoW) / 2),
+    Right: baseW - logoW - margin.x,
+  }[horizontal];
+
+  const top = {
+    Top: margin.top,
+    Center: Math.round((baseH - logoH) / 2),
+    Bottom: baseH - logoH - margin.bottom,
+  }[vertical];
+
+  return { left: Math.max(0, left), top: Math.max(0, top) };
+}
+
+// PNG of `base` with `logo` (paths or buffers) at LOGO_SIZE of its width
+async function embedLogo(base, logo, { position, size = numberSetting("LOGO_SIZE", 0.3), format } = {}) {
+  const logoMeta = await sharp(logo).metadata();
+  if (!["jpeg", "png"].includes(logoMeta.format)) {
+    throw new Error("Logo must be PNG or JPEG");
+  }
+
+  const baseMeta = await sharp(base).metadata();
+  const { margin } = layoutFor(format || parseFormat(""), baseMeta.width, baseMeta.height, { margin: 30 });
+
+  // Never taller than a third of the image, which matters for wide formats
+  const resized = await sharp(logo)
+    .resize({ width: Math.round(baseMeta.width * size), height: Math.round(baseMeta.height / 3), fit: "inside" })
+    .png()
+    .toBuffer();
+  const resizedMeta = await sharp(resized).metadata();
+
+  const pos = computePosition(baseMeta.width, baseMeta.height, resizedMeta.width, resizedMeta.height, normalizePosition(position), margin);
+  return sharp(base)
+    .composite([{ input: resized, left: pos.left, top: pos.top }])
+    .png()
+    .toBuffer();
+}
+
+// ---------------- TEXT ----------------
+// PNG of `image` (path or buffer) with the headline, and the subline below it
+// at SUBLINE_SCALE, at `position`
+async function embedText(image, textContent, { font = "Arial", position, color = "White", bgColor, bgAlpha = 1.0, format } = {}) {
+  const { createCanvas, loadImage, registerFont } = require("canvas");
+
+  console.log(`Embedding text "${textContent}"`);
+  console.log(`Parameters - Font: ${font}, TextPosition: ${position}, TextColor: ${color}, BgColor: ${bgColor}, BgAlpha: ${bgAlpha}\n`);
+
+  const img = await loadImage(image);
+  console.log(`Image loaded - Dimensions: ${img.width}x${img.height}`);
+
+  const canvas = createCanvas(img.width, img.height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0, img.width, img.height);
+
+  // Handle Fonts
+  let actualFont = "Arial";
+  if (font.toLowerCase() !== "arial") {
+    try {
+      console.log(`Registering custom Google Font: ${font}`);
+      const fontData = await getFontPath(font);
+      registerFont(fontData.filePath, { family: fontData.family });
+      actualFont = fontData.family;
+      console.log(`Font registered successfully: ${actualFont}`);
+    } catch (e) {
+      console.warn(`Could not load font ${font}, falling back to Arial. Error: ${e.message}`);
+    }
+  }
+
+  // FONT_SIZE is for a 1024px wide image and scales with the width and format
+  const layout = layoutFor(format || parseFormat(""), img.width, img.height, {
+    fontSize: parseInt(process.env.FONT_SIZE, 10) || 30,
+  });
+  const { fontSize, margin } = layout;
+
+  const [vertical, horizontal] = splitPosition(normalizePosition(position));
+  const textAlign = { Left: "left", Center: "center", Right: "right" }[horizontal];
+  const x = { Left: margin.x, Center: img.width / 2, Right: img.width - margin.x }[horizontal];
+  const y = { Top: margin.top, Center: img.height / 2, Bottom: img.height - margin.bottom }[vertical];
+
+  ctx.textAlign = textAlign;
+
+  // Headline, then an optional subline (second line of TextContent) at SUBLINE_SCALE of the size
+  const { headline, subline } = splitOverlay(textContent);
+  const lines = [{ text: headline, size: fontSize }];
+  if (subline) lines.push({ text: subline, size: Math.round(fontSize * sublineScale()) });
+
+  lines.forEach((line) => {
+    ctx.font = `${line.size}px "${actualFont}"`;
+    line.width = ctx.measureText(line.text).width;
+    line.height = Math.ceil(line.size * 1.33);
+  });
+
+  const textWidth = Math.max(...lines.map((l) => l.width));
+  const textHeight = lines.reduce((sum, l) => sum + l.height, 0);
+  const blockTop = vertical === "Top" ? y : vertical === "Center" ? y - textHeight / 2 : y - textHeight;
+
+  // Draw Background if needed
+  if (bgColor) {
+    const bgPad = Math.max(5, Math.round(fontSize / 6));
+    let rectX;
+    if (textAlign === "left") rectX = x - bgPad;
+    else if (textAlign === "center") rectX = x - textWidth / 2 - bgPad;
+    else rectX = x - textWidth - bgPad;
+
+    ctx.save();
+    ctx.globalAlpha = bgAlpha;
+    ctx.fillStyle = normalizeColor(bgColor);
+    ctx.fillRect(rectX, blockTop - bgPad, textWidth + bgPad * 2, textHeight + bgPad * 2);
+    ctx.restore();
+  }
+
+  // Draw Text, line by line from the top of the block
+  let lineY = blockTop;
+  ctx.fillStyle = normalizeColor(color);
+  ctx.textBaseline = "top";
+  lines.forEach((line) => {
+    ctx.font = `${line.size}px "${actualFont}"`;
+    ctx.fillText(line.text, x, lineY);
+    lineY += line.height;
+  });
+  console.log(`Text drawn to canvas (${lines.length} line${lines.length > 1 ? "s" : ""}, ${fontSize}px)`);
+
+  return canvas.toBuffer("image/png");
+}
+
+module.exports = {
+  normalizePosition,
+  normalizeColor,
+  parseBackground,
+  getFontPath,
+  computePosition,
+  embedLogo,
+  embedText,
+};
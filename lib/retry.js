@@ -0,0 +1,108 @@
+/**
+ * lib/retry.js - Per-row retry policy
+ *
+ * Errors are sorted into transient (rate limits, timeouts, 5xx, dropped
+ * connections) and permanent (everything else: validation, content policy,
+ * bad links, hosts that don't resolve, 4xx). A transient failure leaves the
+ * row in its current state with RetryCount/NextRetryAt set, and steps pick it
+ * up again once NextRetryAt has passed. Permanent failures, and transient ones
+ * that run out of retries, mark the row failed for a person to look at.
+ *
+ * RETRY_MAX (default 5) retries, RETRY_BASE_MINUTES (default 5) doubling each
+ * time up to RETRY_MAX_MINUTES (default 1440).
+ */
+
+const { getStatus, setStatus, failRow } = require("./status");
+const { numberSetting } = require("./settings");
+
+const TRANSIENT_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ESOCKETTIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_SOCKET",
+];
+
+// A host name that doesn't resolve is a typo in a link or base URL, not an
+// outage (a DNS server that can't be reached is EAI_AGAIN); it also wins over
+// a transient wrapper such as the OpenAI SDK's APIConnectionError
+const PERMANENT_CODES = ["ENOTFOUND"];
+
+// Graph API: unknown error, service unavailable and the various throttling codes
+const FB_TRANSIENT_CODES = [1, 2, 4, 17, 32, 341, 613];
+
+// OpenAI SDK errors raised before any HTTP status exists, and the error of a
+// request cut off by AbortSignal.timeout
+const TRANSIENT_NAMES = ["APIConnectionError", "APIConnectionTimeoutError", "TimeoutError"];
+
+function httpStatus(err) {
+  const status = Number(err.status || err.response?.status || err.code);
+  return Number.isInteger(status) ? status : 0;
+}
+
+function classifyError(err) {
+  if (!err || typeof err !== "object") return "permanent";
+
+  // Code that knows better can mark its own errors
+  if (typeof err.transient === "boolean") return err.transient ? "transient" : "permanent";
+
+  if (PERMANENT_CODES.includes(err.code) || PERMANENT_CODES.includes(err.cause?.code)) return "permanent";
+
+  const fbError = err.response?.data?.error;
+  if (fbError && (fbError.is_transient || FB_TRANSIENT_CODES.includes(fbError.code))) return "transient";
+  if (TRANSIENT_CODES.includes(err.code) || TRANSIENT_CODES.includes(err.cause?.code)) return "transient";
+  if (TRANSIENT_NAMES.includes(err.constructor?.name) || TRANSIENT_NAMES.includes(err.name)) return "transient";
+
+  const status = httpStatus(err);
+  if (status === 408 || status === 429 || status >= 500) return "transient";
+
+  return "permanent";
+}
+
+function settings() {
+  return {
+    max: numberSetting("RETRY_MAX", 5, { allowZero: true }),
+    baseMs: numberSetting("RETRY_BASE_MINUTES", 5) * 60 * 1000,
+    capMs: numberSetting("RETRY_MAX_MINUTES", 1440) * 60 * 1000,
+  };
+}
+
+// False while a transient failure is waiting out its backoff
+function isDue(row) {
+  if (!row.has("nextRetryAt")) return true;
+  const at = Date.parse(row.get("nextRetryAt"));
+  return Number.isNaN(at) || at <= Date.now();
+}
+
+// Returns "retry" when the row will be picked up again, "failed" otherwise.
+// `target` is the state the step was trying to reach.
+function recordFailure(row, target, err, reason = err?.message || String(err)) {
+  const { max, baseMs, capMs } = settings();
+  const count = row.getNumber("retryCount", 0);
+  const canRetry = row.has("retryCount") && row.has("nextRetryAt");
+
+  if (canRetry && classifyError(err) === "transient" && count < max) {
+    const next = new Date(Date.now() + Math.min(baseMs * 2 ** count, capMs));
+    row.set("retryCount", count + 1);
+    row.set("nextRetryAt", next.toISOString());
+    setStatus(row, getStatus(row), `${target}: retry ${count + 1}/${max} at ${next.toISOString()} after ${reason}`);
+    return "retry";
+  }
+
+  // Cleared so a row a person puts back into the pipeline gets a fresh set of retries
+  clearRetry(row);
+  failRow(row, target, count ? `${reason} (after ${count} retries)` : reason);
+  return "failed";
+}
+
+function clearRetry(row) {
+  if (row.has("retryCount") && row.get("retryCount")) row.set("retryCount", "");
+  if (row.has("nextRetryAt") && row.get("nextRetryAt")) row.set("nextRetryAt", "");
+  return row;
+}
+
+module.exports = { classifyError, isDue, recordFailure, clearRetry };
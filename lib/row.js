@@ -0,0 +1,218 @@
+/**
+ * lib/row.js - Header-aware row model shared by every pipeline step
+ *
+ *   const plan = await loadRows(storage, { required: ["caption", "hashtags"] });
+ *   for (const row of plan.rows) {
+ *     if (row.getBool("embedLogo")) row.set("logoEmbedComplete", "Complete");
+ *     await row.save();
+ *   }
+ *
+ * Columns are addressed by schema key (lib/schema.js), so reordering or
+ * renaming a column to one of its aliases does not break a step.
+ *
+ * Rows carry a stable RowId. loadRows() gives every filled-in row one the
+ * first time it sees it, and saves are addressed by that ID rather than the
+ * row's position, so inserting or sorting rows mid-run is safe.
+ */
+
+const crypto = require("crypto");
+const { COLUMNS, getColumn, normalizeHeader } = require("./schema");
+
+const TRUE_VALUES = ["yes", "y", "true", "1"];
+
+// Map schema keys to column indexes. Exact header names win over aliases.
+function resolveColumns(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  const taken = new Set();
+
+  const claim = (key, name) => {
+    const idx = normalized.findIndex((h, i) => h && h === normalizeHeader(name) && !taken.has(i));
+    if (idx === -1) return false;
+    columns[key] = idx;
+    taken.add(idx);
+    return true;
+  };
+
+  COLUMNS.forEach((c) => claim(c.key, c.header));
+  COLUMNS.forEach((c) => {
+    if (c.key in columns) return;
+    (c.aliases || []).some((alias) => claim(c.key, alias));
+  });
+
+  return columns;
+}
+
+function newRowId() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+function createRow({ storage, headers, columns, values, rowNumber }) {
+  let pending = {};
+
+  const indexOf = (key) => {
+    getColumn(key);
+    return key in columns ? columns[key] : -1;
+  };
+
+  const row = {
+    rowNumber,
+    values,
+
+    has(key) {
+      return indexOf(key) !== -1;
+    },
+
+    get(key) {
+      const idx = indexOf(key);
+      if (idx === -1 || values[idx] == null) return "";
+      return String(values[idx]).trim();
+    },
+
+    getBool(key) {
+      return TRUE_VALUES.includes(row.get(key).toLowerCase());
+    },
+
+    getNumber(key, fallback = null) {
+      const raw = row.get(key);
+      const n = Number(raw);
+      return raw === "" || Number.isNaN(n) ? fallback : n;
+    },
+
+    getList(key) {
+      return row
+        .get(key)
+        .split(/[\s,]+/)
+        .filter(Boolean);
+    },
+
+    set(key, value) {
+      const idx = indexOf(key);
+      if (idx === -1) {
+        throw new Error(`Column "${getColumn(key).header}" not found in sheet`);
+      }
+      const cell = value == null ? "" : value;
+      while (values.length <= idx) values.push("");
+      values[idx] = cell;
+      pending[headers[idx]] = cell;
+      return row;
+    },
+
+    setBool(key, value) {
+      return row.set(key, value ? "yes" : "no");
+    },
+
+    isBlank() {
+      return values.every((v) => v == null || String(v).trim() === "");
+    },
+
+    // Take the latest cell values from a fresh read, matched by header name
+    reload(freshHeaders, freshValues) {
+      headers.forEach((h, i) => {
+        const idx = freshHeaders.indexOf(h);
+        if (idx !== -1) values[i] = freshValues[idx] == null ? "" : freshValues[idx];
+      });
+      return row;
+    },
+
+    get id() {
+      return row.get("rowId");
+    },
+
+    // Reads the plan again and takes this row's current cells. False when the
+    // row is no longer there.
+    async refresh() {
+      await row.save();
+
+      const fresh = await storage.readTable();
+      const idCol = row.id && row.has("rowId") ? fresh.headers.indexOf(headers[columns.rowId]) : -1;
+      const freshValues =
+        idCol !== -1
+          ? fresh.rows.find((r) => String(r[idCol] || "").trim() === row.id)
+          : fresh.rows[rowNumber - 2];
+      if (!freshValues) return false;
+
+      row.reload(fresh.headers, freshValues);
+      return true;
+    },
+
+    // Writes `value` only if storage still holds `expected` in that cell, and
+    // takes the rest of the row from the same read. False when it had changed.
+    async compareAndSet(key, expected, value) {
+      const idx = indexOf(key);
+      if (idx === -1) {
+        throw new Error(`Column "${getColumn(key).header}" not found in sheet`);
+      }
+      await row.save();
+
+      const target = row.id && row.has("rowId") ? { idHeader: headers[columns.rowId], rowId: row.id } : { rowNumber };
+      const fresh = await storage.compareAndSet(target, headers[idx], expected, value);
+      if (!fresh) return false;
+
+      row.reload(fresh.headers, fresh.values);
+      return true;
+    },
+
+    async save() {
+      if (!Object.keys(pending).length) return;
+      const fields = pending;
+      pending = {};
+
+      // A freshly assigned ID isn't in the sheet yet, so that write goes by position
+      const idHeader = row.has("rowId") ? headers[columns.rowId] : null;
+      if (row.id && !(idHeader in fields)) {
+        await storage.updateFieldsById(idHeader, row.id, fields);
+      } else {
+        await storage.updateFields(rowNumber, fields);
+      }
+    },
+  };
+
+  return row;
+}
+
+// Give filled-in rows without an ID (or with one copied from another row) a new one
+async function assignRowIds(storage, rows) {
+  const seen = new Set();
+  let assigned = 0;
+
+  for (const row of rows) {
+    if (row.isBlank()) continue;
+
+    if (row.id && !seen.has(row.id)) {
+      seen.add(row.id);
+      continue;
+    }
+
+    if (row.id) console.log(`Row ${row.rowNumber}: RowId ${row.id} is duplicated, assigning a new one`);
+    row.set("rowId", newRowId());
+    seen.add(row.id);
+    await row.save();
+    assigned++;
+  }
+
+  // Later saves look rows up by ID, so the new IDs must be in the sheet first
+  if (assigned) await storage.flush();
+  return assigned;
+}
+
+async function loadRows(storage, { required = [], assignIds = true } = {}) {
+  const { headers, rows } = await storage.readTable();
+  const columns = resolveColumns(headers);
+
+  const missing = required.filter((key) => !(key in columns));
+  if (missing.length) {
+    const names = missing.map((key) => getColumn(key).header).join(", ");
+    throw new Error(`Required columns missing from sheet: ${names}`);
+  }
+
+  const planRows = rows.map((values, i) =>
+    createRow({ storage, headers, columns, values: values.slice(), rowNumber: i + 2 })
+  );
+
+  if (assignIds && "rowId" in columns) await assignRowIds(storage, planRows);
+
+  return { headers, columns, rows: planRows };
+}
+
+module.exports = { loadRows, resolveColumns, createRow, assignRowIds, newRowId };
@@ -0,0 +1,144 @@
+/**
+ * lib/schema.js - Content-plan columns
+ * `header` is what sheet:init writes; `aliases` are other names accepted when
+ * reading a sheet (matching ignores case, spaces, punctuation and "(...)" hints).
+ * `options` become dropdowns and `format` a number format when sheet:init runs
+ * (DATE formats only in spreadsheets whose locale puts the day first);
+ * `hidden` columns are hidden in Google Sheets.
+ */
+
+const FLAG = ["yes", "no"];
+
+const POSITIONS = [
+  "TopLeft",
+  "TopCenter",
+  "TopRight",
+  "CenterLeft",
+  "Center",
+  "CenterRight",
+  "BottomLeft",
+  "BottomCenter",
+  "BottomRight",
+];
+
+const TEXT_BACKGROUNDS = [
+  "None",
+  "Opaque Black",
+  "Opaque White",
+  "Translucent Black",
+  "Translucent White",
+];
+
+// Image shapes (lib/formats.js)
+const FORMATS = ["square", "portrait", "landscape", "story"];
+
+// Row lifecycle, in pipeline order (transitions live in lib/status.js)
+const STATES = [
+  "draft",
+  "content_ready",
+  "image_ready",
+  "branded",
+  "rendered",
+  // Flagged by the brand-safety check; waits for a person (lib/moderation.js)
+  "review",
+  "approved",
+  "scheduled",
+  "posted",
+  "failed",
+];
+
+const COLUMNS = [
+  // Assigned once per row and never edited; writes find their row by this ID
+  { key: "rowId", header: "RowId", hidden: true },
+  { key: "company", header: "Company" },
+  { key: "website", header: "Website", aliases: ["Site", "Url"] },
+  // A specific page (product, offer, blog post) to base the post on instead of the home page
+  { key: "sourceUrl", header: "SourceUrl", aliases: ["PageUrl", "ProductUrl"] },
+  { key: "topic", header: "Topic" },
+  // Content pillar the topic was planned under (plan.js)
+  { key: "pillar", header: "Pillar", aliases: ["ContentPillar"] },
+  // "hi" or "en, hi": languages to write the post in, first one first (lib/languages.js)
+  { key: "language", header: "Language", aliases: ["Languages", "Locale"] },
+  { key: "caption", header: "Caption" },
+  // Number of the variant in the Variants tab that Caption holds (lib/variants.js)
+  { key: "captionVariant", header: "CaptionVariant", aliases: ["Variant", "ChosenVariant"] },
+  { key: "hashtags", header: "Hashtags", aliases: ["Tags"] },
+  { key: "imagePrompt", header: "ImagePrompt", aliases: ["Prompt"] },
+  { key: "altText", header: "AltText", aliases: ["Alt", "ImageDescription"] },
+  // Shape of the generated image; empty is DEFAULT_FORMAT
+  { key: "format", header: "Format", aliases: ["AspectRatio", "Ratio"], options: FORMATS },
+  { key: "genImage", header: "GenImage", aliases: ["GeneratedImage"] },
+  { key: "genComplete", header: "GenComplete" },
+  // IMAGE_CANDIDATES images as "1: link" lines, and the number of the one to use (lib/candidates.js)
+  { key: "candidates", header: "Candidates", aliases: ["ImageCandidates"] },
+  { key: "imageChoice", header: "ImageChoice", aliases: ["PickedImage", "CandidateChoice"] },
+  { key: "embedLogo", header: "EmbedLogo(yes/no)", options: FLAG },
+  { key: "logoUrl", header: "LogoUrl", aliases: ["Logo", "LogoLink"] },
+  { key: "logoPosition", header: "LogoPosition", options: POSITIONS },
+  { key: "logoEmbedComplete", header: "LogoEmbedComplete" },
+  { key: "imageWithLogo", header: "ImageWithLogoEmbedded", aliases: ["ImageWithLogo"] },
+  { key: "embedText", header: "EmbedText(yes/no)", options: FLAG },
+  { key: "textContent", header: "TextContent", aliases: ["Text", "OverlayText"] },
+  { key: "textPosition", header: "TextPosition", options: POSITIONS },
+  { key: "textFont", header: "TextFont", aliases: ["Font"] },
+  { key: "textColor", header: "TextColor", aliases: ["TextColour"] },
+  { key: "textBackground", header: "TextBackground", options: TEXT_BACKGROUNDS },
+  { key: "textEmbedComplete", header: "TextEmbedComplete" },
+  { key: "imageWithText", header: "ImageWithTextEmbedded", aliases: ["ImageWithText"] },
+  // Other formats made from the image, e.g. "story, landscape:pad", and their links ("story: url" lines)
+  { key: "renditions", header: "Renditions" },
+  { key: "renditionLinks", header: "RenditionLinks" },
+  { key: "newImageLink", header: "NewImageLink", aliases: ["FinalImage"] },
+  { key: "genPipeComplete", header: "GenPipeComplete(yes/no)", options: FLAG },
+  { key: "post", header: "Post(yes/no)", options: FLAG },
+  // yes = a person checked a flagged row; it is posted without screening again
+  { key: "reviewed", header: "Reviewed(yes/no)", options: FLAG },
+  {
+    key: "postDate",
+    header: "PostDate(DD/MM/YY)",
+    aliases: ["Date"],
+    format: { type: "DATE", pattern: "dd/mm/yy" },
+  },
+  {
+    key: "postTime",
+    header: "PostTime(HH:MM AM/PM)",
+    aliases: ["Time"],
+    format: { type: "TIME", pattern: "hh:mm AM/PM" },
+  },
+  { key: "postStatus", header: "PostStatus" },
+  { key: "allProcessComplete", header: "AllProcessComplete" },
+  { key: "status", header: "Status", aliases: ["State"], options: STATES },
+  { key: "statusDetail", header: "StatusDetail", aliases: ["StatusReason"] },
+  // e.g. "caption, image: warmer colours" (lib/regenerate.js)
+  { key: "regenerate", header: "Regenerate", aliases: ["Regen"] },
+  { key: "feedback", header: "Feedback" },
+  { key: "retryCount", header: "RetryCount", aliases: ["Retries"] },
+  { key: "nextRetryAt", header: "NextRetryAt", aliases: ["RetryAt"] },
+  // "<owner> until <ISO time>" while a step is working on the row (lib/claims.js)
+  { key: "claim", header: "Claim", aliases: ["Lease", "ClaimedBy"] },
+];
+
+const HEADERS = COLUMNS.map((c) => c.header);
+
+function normalizeHeader(str) {
+  return String(str || "")
+    .toLowerCase()
+    .replace(/\(.*?\)/g, "")
+    .replace(/[^a-z0-9]/g, "");
+}
+
+function getColumn(key) {
+  const column = COLUMNS.find((c) => c.key === key);
+  if (!column) throw new Error(`Unknown column key "${key}"`);
+  return column;
+}
+
+module.exports = {
+  COLUMNS,
+  HEADERS,
+  POSITIONS,
+  TEXT_BACKGROUNDS,
+  STATES,
+  normalizeHeader,
+  getColumn,
+};
@@ -0,0 +1,29 @@
+/**
+ * lib/settings.js - Reading numbers and lists from .env settings and profiles
+ *
+ *   numberSetting("CAPTION_MAX_LENGTH", 2200)   2200 unless set to a positive number
+ *   numberSetting("HASHTAG_MAX_OVERLAP", 0.5, { allowZero: true })
+ *                                               0 counts as a value too
+ *   numberSetting("IMAGE_STEPS")                undefined unless set
+ *   toList("a, b,,c")                           ["a", "b", "c"]
+ *   toList("#a #b", /[\s,]+/)                   ["#a", "#b"]
+ */
+
+// The number in process.env[name], or `fallback` when it is unset, blank, not
+// a number, negative, or 0 without `allowZero`
+function numberSetting(name, fallback, { allowZero = false } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || String(raw).trim() === "") return fallback;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value)) return fallback;
+  return value > 0 || (allowZero && value === 0) ? value : fallback;
+}
+
+// Trimmed, non-empty items of an array or of text split at `separator` (default commas)
+function toList(value, separator = ",") {
+  const items = Array.isArray(value) ? value.map(String) : String(value || "").split(separator);
+  return items.map((v) => v.trim()).filter(Boolean);
+}
+
+module.exports = { numberSetting, toList };
@@ -0,0 +1,123 @@
+/**
+ * lib/status.js - Row lifecycle
+ *
+ *   draft -> content_ready -> image_ready -> branded -> rendered
+ *         -> approved -> scheduled -> posted
+ *
+ * Rows flagged by the brand-safety check before publishing go to review
+ * instead, and on to approved once a person has cleared them.
+ *
+ * Any state but posted can move to failed. To retry a failed row, set Status
+ * back to the state it should resume from (any state before posted). Rows
+ * that haven't gone out yet can also be reopened at an earlier state, which
+ * is how Regenerate (lib/regenerate.js) reruns steps.
+ * Every step moves rows through setStatus()/failRow() so the rules live here.
+ *
+ * The old per-step columns (GenComplete, LogoEmbedComplete, PostStatus, ...)
+ * are still written for people reading the sheet, and are used to work out
+ * the state of rows created before the Status column existed.
+ */
+
+const { STATES } = require("./schema");
+
+const PIPELINE = STATES.slice(0, STATES.indexOf("failed"));
+
+const TRANSITIONS = {
+  draft: ["content_ready"],
+  content_ready: ["image_ready"],
+  image_ready: ["branded"],
+  branded: ["rendered"],
+  rendered: ["approved", "review"],
+  review: ["approved"],
+  approved: ["scheduled", "posted"],
+  scheduled: ["posted"],
+  posted: [],
+  failed: PIPELINE.filter((s) => s !== "posted"),
+};
+
+function isState(value) {
+  return STATES.includes(value);
+}
+
+function isPublished(state) {
+  return state === "scheduled" || state === "posted";
+}
+
+function canTransition(from, to) {
+  if (!isState(from) || !isState(to)) return false;
+  if (to === "failed") return from !== "posted";
+  if (TRANSITIONS[from].includes(to)) return true;
+
+  // Reopening: back to an earlier step, as long as nothing was sent to Facebook
+  return !isPublished(from) && PIPELINE.indexOf(to) < PIPELINE.indexOf(from);
+}
+
+// Status for rows from before the Status column, read from the per-step columns
+function inferStatus(row) {
+  const lower = (key) => (row.has(key) ? row.get(key).toLowerCase() : "");
+  const isError = (key) => lower(key).startsWith("error") || lower(key).startsWith("failed");
+
+  const postStatus = lower("postStatus");
+  if (postStatus === "posted") return "posted";
+  if (postStatus === "scheduled") return "scheduled";
+
+  if (["postStatus", "textEmbedComplete", "logoEmbedComplete", "genComplete"].some(isError)) {
+    return "failed";
+  }
+
+  if (lower("textEmbedComplete") === "complete") return "rendered";
+  if (lower("logoEmbedComplete") === "complete") return "branded";
+  if (lower("genComplete") === "complete") return "image_ready";
+  if (row.get("caption") && row.get("hashtags") && row.get("imagePrompt")) return "content_ready";
+
+  return "draft";
+}
+
+function getStatus(row) {
+  const value = row.has("status") ? row.get("status").toLowerCase() : "";
+  return isState(value) ? value : inferStatus(row);
+}
+
+// Step a failed row was on, from the "<state>: <reason>" detail failRow() writes
+function failedStep(row) {
+  const match = row.has("statusDetail") ? row.get("statusDetail").match(/^(\w+):/) : null;
+  return match && isState(match[1]) ? match[1] : null;
+}
+
+function setStatus(row, to, detail = "") {
+  const from = getStatus(row);
+
+  if (from !== to && !canTransition(from, to)) {
+    throw new Error(`Row ${row.rowNumber}: invalid status change ${from} -> ${to}`);
+  }
+
+  // Unmigrated sheets carry on with the per-step columns alone
+  if (row.has("status")) row.set("status", to);
+  if (row.has("statusDetail")) row.set("statusDetail", detail);
+  return row;
+}
+
+// `target` is the state the step was trying to reach
+function failRow(row, target, reason) {
+  return setStatus(row, "failed", `${target}: ${reason}`);
+}
+
+function countByStatus(rows) {
+  const counts = Object.fromEntries(STATES.map((s) => [s, 0]));
+  rows.filter((row) => !row.isBlank()).forEach((row) => counts[getStatus(row)]++);
+  return counts;
+}
+
+module.exports = {
+  STATES,
+  PIPELINE,
+  TRANSITIONS,
+  canTransition,
+  isPublished,
+  getStatus,
+  inferStatus,
+  setStatus,
+  failRow,
+  failedStep,
+  countByStatus,
+};
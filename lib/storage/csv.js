@@ -0,0 +1,82 @@
+/**
+ * lib/storage/csv.js - Local CSV file backend (first line = headers)
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { createFileTable } = require("./table");
+
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+function escapeCsv(value) {
+  const s = String(value == null ? "" : value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function createCsvStorage({ filePath }) {
+  async function load() {
+    let text;
+    try {
+      text = await fs.readFile(filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return { headers: [], rows: [] };
+      throw err;
+    }
+
+    const records = parseCsv(text.replace(/^\uFEFF/, ""));
+    return { headers: (records[0] || []).map((h) => h.trim()), rows: records.slice(1) };
+  }
+
+  async function save(table) {
+    const lines = [table.headers, ...table.rows].map((r) => r.map(escapeCsv).join(","));
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, lines.join("\n") + "\n");
+  }
+
+  return createFileTable({ name: `csv:${filePath}`, load, save });
+}
+
+module.exports = { createCsvStorage, parseCsv };
@@ -0,0 +1,82 @@
+/**
+ * lib/storage - Content-plan storage selected by config
+ *
+ * STORAGE_BACKEND = sheets (default) | csv | json | sqlite
+ * STORAGE_PATH    = file used by the local backends (default data/plan.<ext>)
+ * SHEET_TAB       = sheet tab / SQLite table name (default Sheet1)
+ */
+
+const path = require("path");
+const { createSheetsStorage } = require("./sheets");
+const { createCsvStorage } = require("./csv");
+const { createJsonStorage } = require("./json");
+const { createSqliteStorage } = require("./sqlite");
+
+const ROOT = path.join(__dirname, "..", "..");
+const DEFAULT_FILES = { csv: "plan.csv", json: "plan.json", sqlite: "plan.db" };
+
+function resolveOptions(options = {}) {
+  const backend = String(options.backend || process.env.STORAGE_BACKEND || "sheets")
+    .trim()
+    .toLowerCase();
+  const tab = options.tab || process.env.SHEET_TAB || "Sheet1";
+  const filePath = path.resolve(
+    ROOT,
+    options.path || process.env.STORAGE_PATH || path.join("data", DEFAULT_FILES[backend] || "")
+  );
+  const sheetUrl = options.sheetUrl || process.env.SHEET_URL;
+
+  return { backend, tab, filePath, sheetUrl };
+}
+
+function open({ backend, tab, filePath, sheetUrl }) {
+  switch (backend) {
+    case "sheets":
+      return createSheetsStorage({ sheetUrl, tab });
+    case "csv":
+      return createCsvStorage({ filePath });
+    case "json":
+      return createJsonStorage({ filePath });
+    case "sqlite":
+      return createSqliteStorage({ filePath, tab });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use sheets, csv, json or sqlite.`);
+  }
+}
+
+function createStorage(options = {}) {
+  return open(resolveOptions(options));
+}
+
+// A side table that belongs to a plan (e.g. "History"): another tab in the
+// same spreadsheet or SQLite file, or data/plan.history.csv next to a CSV/JSON plan
+function createSideStorage(name, options = {}) {
+  const resolved = resolveOptions(options);
+
+  if (resolved.backend === "csv" || resolved.backend === "json") {
+    const { dir, name: base, ext } = path.parse(resolved.filePath);
+    return open({ ...resolved, filePath: path.join(dir, `${base}.${name.toLowerCase()}${ext}`) });
+  }
+
+  return open({ ...resolved, tab: name });
+}
+
+// Creates a side table's tab if needed and adds the `wanted` headers it lacks
+// after its last used column. Existing headers keep their positions, blank
+// ones included, so no column ends up over another column's data.
+// Returns true when headers were written.
+async function ensureHeaders(store, wanted) {
+  if (store.ensureTab) await store.ensureTab();
+
+  const { headers } = await store.readTable();
+  const current = headers.slice();
+  while (current.length && !current[current.length - 1]) current.pop();
+
+  const missing = wanted.filter((h) => !current.includes(h));
+  if (!missing.length) return false;
+
+  await store.writeHeaders([...current, ...missing]);
+  return true;
+}
+
+module.exports = { createStorage, createSideStorage, ensureHeaders };
@@ -0,0 +1,39 @@
+/**
+ * lib/storage/json.js - Local JSON file backend
+ * File format: { "headers": [...], "rows": [{ "Company": "...", ... }] }
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { createFileTable, toValues, toCell } = require("./table");
+
+function createJsonStorage({ filePath }) {
+  async function load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return { headers: [], rows: [] };
+      throw new Error(`Could not read ${filePath}: ${err.message}`);
+    }
+
+    const headers = data.headers || [];
+    const rows = (data.rows || []).map((r) => toValues(headers, r).map(toCell));
+    return { headers, rows };
+  }
+
+  async function save(table) {
+    const rows = table.rows.map((r) => {
+      const obj = {};
+      table.headers.forEach((h, i) => (obj[h] = r[i] == null ? "" : r[i]));
+      return obj;
+    });
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({ headers: table.headers, rows }, null, 2));
+  }
+
+  return createFileTable({ name: `json:${filePath}`, load, save });
+}
+
+module.exports = { createJsonStorage };
@@ -0,0 +1,339 @@
+/**
+ * lib/storage/sheets.js - Google Sheets content-plan backend
+ */
+
+const { extractSheetId, getSheets } = require("../google");
+const { columnNumberToLetter, toValues } = require("./table");
+const { createWriteBuffer, withBackoff } = require("./writebuffer");
+const { numberSetting } = require("../settings");
+
+// Thrown for a tab that doesn't exist, so callers can tell it from other failures
+function tabNotFound(tab) {
+  return Object.assign(new Error(`Tab "${tab}" not found in spreadsheet`), { code: "TAB_NOT_FOUND" });
+}
+
+function createSheetsStorage({ sheetUrl, tab }) {
+  if (!sheetUrl) throw new Error("SHEET_URL not set in .env");
+
+  const spreadsheetId = extractSheetId(sheetUrl);
+  const sheets = getSheets();
+  let headers = null;
+
+  const quotedTab = `'${tab.replace(/'/g, "''")}'`;
+  const retries = numberSetting("SHEETS_MAX_RETRIES", 5);
+
+  const buffer = createWriteBuffer({
+    maxSize: numberSetting("SHEETS_BATCH_SIZE", 50),
+    maxDelayMs: numberSetting("SHEETS_FLUSH_MS", 2000),
+    send: sendBatch,
+  });
+
+  async function fetchValues() {
+    try {
+      const { data } = await withBackoff(
+        () => sheets.spreadsheets.values.get({ spreadsheetId, range: quotedTab }),
+        { retries, label: "sheet read" }
+      );
+      return data.values || [];
+    } catch (err) {
+      // The Sheets API answers a read of a missing tab with a range error
+      if (Number(err.code || err.response?.status) === 400 && /unable to parse range/i.test(err.message)) {
+        throw tabNotFound(tab);
+      }
+      throw err;
+    }
+  }
+
+  // The last full read, and per ID column a map of row ID -> row number built
+  // from it on first use
+  let snapshot = null;
+  let idIndex = new Map();
+
+  function remember(values) {
+    snapshot = values;
+    idIndex = new Map();
+    headers = (values[0] || []).map((h) => String(h).trim());
+  }
+
+  function rowNumberOf(idHeader, rowId) {
+    if (!snapshot) return null;
+    if (!idIndex.has(idHeader)) {
+      const col = headers.indexOf(idHeader);
+      const rowsById = new Map();
+      if (col !== -1) {
+        snapshot.forEach((r, i) => {
+          const id = String(r[col] || "").trim();
+          if (i > 0 && id && !rowsById.has(id)) rowsById.set(id, i + 1);
+        });
+      }
+      idIndex.set(idHeader, rowsById);
+    }
+    return idIndex.get(idHeader).get(rowId) || null;
+  }
+
+  async function readTable() {
+    await buffer.flush();
+
+    const values = await fetchValues();
+    remember(values);
+
+    return { headers, rows: values.slice(1) };
+  }
+
+  // Cells written by row ID are located through the row ID map, which is
+  // rebuilt from a fresh read whenever an ID isn't in it (rows appended or
+  // given an ID since the last read). A write with `expect` always reads the
+  // tab first and only goes out if its cell still holds that value in the
+  // same fetch; otherwise it is marked `conflict` and skipped. Writes whose
+  // row is still missing after that read fail the flush, once the rest of
+  // the batch is written.
+  async function sendBatch(items) {
+    const stale = items.some(
+      (item) => item.expect !== undefined || (item.rowId && !rowNumberOf(item.idHeader, item.rowId))
+    );
+    if (stale) remember(await fetchValues());
+
+    const data = [];
+    const missing = [];
+    for (const item of items) {
+      const col = headers.indexOf(item.header);
+      const rowNumber = item.rowId ? rowNumberOf(item.idHeader, item.rowId) : item.rowNumber;
+
+      if (col === -1 || !rowNumber) {
+        missing.push(`"${item.header}" of row ${item.rowId || item.rowNumber}`);
+        continue;
+      }
+
+      if (item.expect !== undefined) {
+        const current = (snapshot[rowNumber - 1] || []).slice();
+        if (String(current[col] == null ? "" : current[col]).trim() !== item.expect) {
+          item.conflict = true;
+          continue;
+        }
+        while (current.length <= col) current.push("");
+        current[col] = item.value;
+        item.fresh = { headers: headers.slice(), values: current };
+      }
+
+      data.push({ range: `${quotedTab}!${columnNumberToLetter(col + 1)}${rowNumber}`, values: [[item.value]] });
+    }
+
+    if (data.length) {
+      await withBackoff(
+        () =>
+          sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId,
+            requestBody: { valueInputOption: "RAW", data },
+          }),
+        { retries, label: `batch write of ${data.length} cells` }
+      );
+    }
+
+    if (missing.length) {
+      throw new Error(`${missing.length} write(s) not found in ${tab}: ${missing.join(", ")}`);
+    }
+  }
+
+  // Sent on its own, after anything still buffered, so the result is known here.
+  // The check and the write are two API calls, so another client can write the
+  // cell in between; callers that need to know who won read it again later.
+  async function compareAndSet({ rowNumber, idHeader, rowId }, header, expected, value) {
+    await columnOf(header);
+    await buffer.flush();
+
+    const item = { rowNumber, idHeader, rowId, header, value, expect: expected };
+    await sendBatch([item]);
+    if (item.conflict) return null;
+    return item.fresh;
+  }
+
+  async function columnOf(header) {
+    if (!headers) await readTable();
+    const idx = headers.indexOf(header);
+    if (idx === -1) throw new Error(`Column "${header}" not found in ${tab}`);
+    return idx;
+  }
+
+  async function updateFields(rowNumber, fields) {
+    for (const [header, value] of Object.entries(fields)) {
+      await columnOf(header);
+      await buffer.add(`#${rowNumber}|${header}`, { rowNumber, header, value });
+    }
+  }
+
+  async function updateFieldsById(idHeader, rowId, fields) {
+    await columnOf(idHeader);
+    for (const [header, value] of Object.entries(fields)) {
+      await columnOf(header);
+      await buffer.add(`${rowId}|${header}`, { idHeader, rowId, header, value });
+    }
+  }
+
+  // Appends and header writes go straight out, after any buffered cell writes
+  async function appendRows(rows) {
+    if (!headers) await readTable();
+    await buffer.flush();
+
+    await withBackoff(
+      () =>
+        sheets.spreadsheets.values.append({
+          spreadsheetId,
+          range: quotedTab,
+          valueInputOption: "RAW",
+          insertDataOption: "INSERT_ROWS",
+          requestBody: { values: rows.map((r) => toValues(headers, r)) },
+        }),
+      { retries, label: "row append" }
+    );
+  }
+
+  async function sheetProperties() {
+    const { data } = await withBackoff(
+      () => sheets.spreadsheets.get({ spreadsheetId, fields: "sheets.properties" }),
+      { retries, label: "spreadsheet metadata" }
+    );
+
+    const sheet = data.sheets.find((s) => s.properties.title === tab);
+    if (!sheet) throw tabNotFound(tab);
+    return sheet.properties;
+  }
+
+  // Side tables such as History get their tab on first use
+  async function ensureTab() {
+    try {
+      await sheetProperties();
+    } catch (err) {
+      if (err.code !== "TAB_NOT_FOUND") throw err;
+      await batchUpdate([{ addSheet: { properties: { title: tab } } }], "tab create");
+    }
+  }
+
+  async function batchUpdate(requests, label) {
+    await withBackoff(
+      () => sheets.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests } }),
+      { retries, label }
+    );
+  }
+
+  async function writeHeaders(newHeaders) {
+    await buffer.flush();
+
+    // values.update won't write past the grid, so widen the tab first
+    const { sheetId, gridProperties } = await sheetProperties();
+    const extra = newHeaders.length - gridProperties.columnCount;
+    if (extra > 0) {
+      await batchUpdate(
+        [{ appendDimension: { sheetId, dimension: "COLUMNS", length: extra } }],
+        "column append"
+      );
+    }
+
+    await withBackoff(
+      () =>
+        sheets.spreadsheets.values.update({
+          spreadsheetId,
+          range: `${quotedTab}!A1`,
+          valueInputOption: "RAW",
+          requestBody: { values: [newHeaders] },
+        }),
+      { retries, label: "header write" }
+    );
+    headers = newHeaders.slice();
+    snapshot = null;
+  }
+
+  // True when the spreadsheet's locale writes the day before the month. Dates
+  // typed into a cell are parsed in that locale, so a day-first pattern on a
+  // month-first sheet would show 5 March typed as 05/03 as 03/05.
+  async function dayFirstLocale() {
+    const { data } = await withBackoff(
+      () => sheets.spreadsheets.get({ spreadsheetId, fields: "properties.locale" }),
+      { retries, label: "spreadsheet locale" }
+    );
+    const locale = String(data.properties?.locale || "en_US").replace(/_/g, "-");
+
+    try {
+      const order = new Intl.DateTimeFormat(locale)
+        .formatToParts(new Date(2026, 0, 31))
+        .map((part) => part.type)
+        .filter((type) => type === "day" || type === "month");
+      return { locale, dayFirst: order[0] === "day" };
+    } catch {
+      return { locale, dayFirst: false };
+    }
+  }
+
+  // rules: [{ index, options?: [...], format?: { type, pattern }, hidden? }] applied from row 2 down.
+  // DATE formats are day first (dd/mm/yy) and only applied when the locale is too.
+  // Returns the spreadsheet's locale and the rules whose DATE format was left out.
+  async function applyColumnRules(rules) {
+    const { sheetId } = await sheetProperties();
+    const requests = [];
+
+    const dates = rules.some((rule) => rule.format?.type === "DATE") ? await dayFirstLocale() : null;
+    const skipped = dates && !dates.dayFirst ? rules.filter((rule) => rule.format?.type === "DATE") : [];
+
+    rules.forEach((rule) => {
+      const { index, options, hidden } = rule;
+      const format = skipped.includes(rule) ? null : rule.format;
+
+      if (hidden) {
+        requests.push({
+          updateDimensionProperties: {
+            range: { sheetId, dimension: "COLUMNS", startIndex: index, endIndex: index + 1 },
+            properties: { hiddenByUser: true },
+            fields: "hiddenByUser",
+          },
+        });
+      }
+
+      const range = { sheetId, startRowIndex: 1, startColumnIndex: index, endColumnIndex: index + 1 };
+
+      if (options) {
+        requests.push({
+          setDataValidation: {
+            range,
+            rule: {
+              condition: {
+                type: "ONE_OF_LIST",
+                values: options.map((v) => ({ userEnteredValue: v })),
+              },
+              showCustomUi: true,
+              strict: false,
+            },
+          },
+        });
+      }
+
+      if (format) {
+        requests.push({
+          repeatCell: {
+            range,
+            cell: { userEnteredFormat: { numberFormat: format } },
+            fields: "userEnteredFormat.numberFormat",
+          },
+        });
+      }
+    });
+
+    if (requests.length) await batchUpdate(requests, "column rules");
+    return { locale: dates?.locale, skipped };
+  }
+
+  return {
+    name: `sheets:${spreadsheetId}/${tab}`,
+    spreadsheetId,
+    tab,
+    readTable,
+    updateFields,
+    updateFieldsById,
+    appendRows,
+    writeHeaders,
+    compareAndSet,
+    applyColumnRules,
+    ensureTab,
+    flush: buffer.flush,
+  };
+}
+
+module.exports = { createSheetsStorage };
@@ -0,0 +1,138 @@
+/**
+ * lib/storage/sqlite.js - Local SQLite backend (one table per tab)
+ * Each sheet header is a TEXT column; _row keeps insertion order.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { toValues, toCell } = require("./table");
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function createSqliteStorage({ filePath, tab }) {
+  // Loaded lazily so the other backends work without the native module installed
+  const Database = require("better-sqlite3");
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  const table = quoteIdent(tab);
+
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (_row INTEGER PRIMARY KEY AUTOINCREMENT)`);
+
+  // Row numbers follow the sheet convention (header = 1), mapped to _row on read
+  let rowIds = [];
+
+  function readHeaders() {
+    return db
+      .prepare(`PRAGMA table_info(${table})`)
+      .all()
+      .map((c) => c.name)
+      .filter((n) => n !== "_row");
+  }
+
+  async function readTable() {
+    const headers = readHeaders();
+    const records = db.prepare(`SELECT * FROM ${table} ORDER BY _row`).all();
+
+    rowIds = records.map((r) => r._row);
+    const rows = records.map((r) => headers.map((h) => toCell(r[h])));
+
+    return { headers, rows };
+  }
+
+  function updateWhere(where, key, fields) {
+    const headers = readHeaders();
+    const entries = Object.entries(fields);
+    for (const [header] of entries) {
+      if (!headers.includes(header)) throw new Error(`Column "${header}" not found in ${tab}`);
+    }
+
+    const sets = entries.map(([h]) => `${quoteIdent(h)} = ?`).join(", ");
+    return db.prepare(`UPDATE ${table} SET ${sets} WHERE ${where}`).run(
+      ...entries.map(([, v]) => toCell(v)),
+      key
+    );
+  }
+
+  async function updateFields(rowNumber, fields) {
+    if (!rowIds.length) await readTable();
+
+    const id = rowIds[rowNumber - 2];
+    if (id === undefined) throw new Error(`Row ${rowNumber} not found in ${tab}`);
+
+    updateWhere("_row = ?", id, fields);
+  }
+
+  async function updateFieldsById(idHeader, rowId, fields) {
+    if (!readHeaders().includes(idHeader)) throw new Error(`Column "${idHeader}" not found in ${tab}`);
+
+    const { changes } = updateWhere(`${quoteIdent(idHeader)} = ?`, rowId, fields);
+    if (!changes) throw new Error(`Row ${rowId} not found in ${tab}`);
+  }
+
+  // One transaction, so the check and the write can't interleave with another process
+  async function compareAndSet({ rowNumber, idHeader, rowId }, header, expected, value) {
+    if (!rowIds.length && !rowId) await readTable();
+
+    const [where, key] = rowId ? [`${quoteIdent(idHeader)} = ?`, rowId] : ["_row = ?", rowIds[rowNumber - 2]];
+    if (key === undefined) throw new Error(`Row ${rowNumber} not found in ${tab}`);
+
+    return db.transaction(() => {
+      const record = db.prepare(`SELECT * FROM ${table} WHERE ${where}`).get(key);
+      if (!record) throw new Error(`Row ${rowId || rowNumber} not found in ${tab}`);
+      if (toCell(record[header]).trim() !== expected) return null;
+
+      updateWhere("_row = ?", record._row, { [header]: value });
+      const headers = readHeaders();
+      return { headers, values: headers.map((h) => (h === header ? toCell(value) : toCell(record[h]))) };
+    }).immediate();
+  }
+
+  async function appendRows(rows) {
+    const headers = readHeaders();
+    const columns = headers.map(quoteIdent).join(", ");
+    const placeholders = headers.map(() => "?").join(", ");
+    const insert = db.prepare(`INSERT INTO ${table} (${columns}) VALUES (${placeholders})`);
+
+    db.transaction(() => {
+      rows.forEach((r) => {
+        const values = toValues(headers, r).map(toCell);
+        insert.run(...headers.map((_, i) => (values[i] === undefined ? "" : values[i])));
+      });
+    })();
+
+    rowIds = [];
+  }
+
+  // Same semantics as overwriting row 1 in a sheet: columns are renamed by
+  // position and any extra headers are added at the end.
+  async function writeHeaders(headers) {
+    const existing = readHeaders();
+
+    db.transaction(() => {
+      headers.forEach((h, i) => {
+        if (existing[i] === h) return;
+        if (i < existing.length) {
+          db.exec(`ALTER TABLE ${table} RENAME COLUMN ${quoteIdent(existing[i])} TO ${quoteIdent(h)}`);
+        } else {
+          db.exec(`ALTER TABLE ${table} ADD COLUMN ${quoteIdent(h)} TEXT DEFAULT ''`);
+        }
+      });
+    })();
+  }
+
+  return {
+    name: `sqlite:${filePath}/${tab}`,
+    readTable,
+    updateFields,
+    updateFieldsById,
+    appendRows,
+    writeHeaders,
+    compareAndSet,
+    flush: async () => {},
+  };
+}
+
+module.exports = { createSqliteStorage };
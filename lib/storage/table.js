@@ -0,0 +1,114 @@
+/**
+ * lib/storage/table.js - Helpers shared by the storage backends
+ *
+ * Every backend exposes the same shape:
+ *   readTable()                    -> { headers, rows }  (rows[i] is sheet row i + 2)
+ *   updateFields(rowNumber, fields) -> write { Header: value } into one row
+ *   updateFieldsById(idHeader, id, fields) -> same, for the row whose idHeader cell is id
+ *   appendRows(rows)               -> add rows (arrays or { Header: value } objects)
+ *   writeHeaders(headers)          -> replace the header row
+ *   compareAndSet(target, header, expected, value)
+ *                                  -> write one cell only if it still holds `expected`;
+ *                                     target is { rowNumber } or { idHeader, rowId }.
+ *                                     Returns the row's { headers, values } after the
+ *                                     write, or null when the cell had changed. Not
+ *                                     atomic on Sheets (see claims.js)
+ *   flush()                        -> push any pending writes
+ */
+
+function columnNumberToLetter(num) {
+  let letter = "";
+  while (num > 0) {
+    const mod = (num - 1) % 26;
+    letter = String.fromCharCode(65 + mod) + letter;
+    num = Math.floor((num - mod) / 26);
+  }
+  return letter;
+}
+
+function toValues(headers, row) {
+  if (Array.isArray(row)) return row;
+  return headers.map((h) => (row[h] == null ? "" : row[h]));
+}
+
+function toCell(value) {
+  return value == null ? "" : String(value);
+}
+
+// In-memory table backed by a whole-file load/save pair (CSV, JSON).
+// The file is re-read before every write so hand edits between steps are kept.
+function createFileTable({ name, load, save }) {
+  async function readTable() {
+    const table = await load();
+    return { headers: table.headers.slice(), rows: table.rows.map((r) => r.slice()) };
+  }
+
+  function writeCells(table, row, fields) {
+    for (const [header, value] of Object.entries(fields)) {
+      const idx = table.headers.indexOf(header);
+      if (idx === -1) throw new Error(`Column "${header}" not found in ${name}`);
+      while (row.length <= idx) row.push("");
+      row[idx] = toCell(value);
+    }
+  }
+
+  async function updateFields(rowNumber, fields) {
+    const table = await load();
+    const row = table.rows[rowNumber - 2];
+    if (!row) throw new Error(`Row ${rowNumber} not found in ${name}`);
+
+    writeCells(table, row, fields);
+    await save(table);
+  }
+
+  function findById(table, idHeader, rowId) {
+    const idIdx = table.headers.indexOf(idHeader);
+    const row = table.rows.find((r) => idIdx !== -1 && String(r[idIdx] || "").trim() === rowId);
+    if (!row) throw new Error(`Row ${rowId} not found in ${name}`);
+    return row;
+  }
+
+  async function updateFieldsById(idHeader, rowId, fields) {
+    const table = await load();
+    writeCells(table, findById(table, idHeader, rowId), fields);
+    await save(table);
+  }
+
+  async function compareAndSet({ rowNumber, idHeader, rowId }, header, expected, value) {
+    const table = await load();
+    const row = rowId ? findById(table, idHeader, rowId) : table.rows[rowNumber - 2];
+    if (!row) throw new Error(`Row ${rowNumber} not found in ${name}`);
+
+    const idx = table.headers.indexOf(header);
+    if (idx !== -1 && toCell(row[idx]).trim() !== expected) return null;
+
+    writeCells(table, row, { [header]: value });
+    await save(table);
+    return { headers: table.headers.slice(), values: row.slice() };
+  }
+
+  async function appendRows(rows) {
+    const table = await load();
+    rows.forEach((r) => table.rows.push(toValues(table.headers, r).map(toCell)));
+    await save(table);
+  }
+
+  async function writeHeaders(headers) {
+    const table = await load();
+    table.headers = headers.slice();
+    await save(table);
+  }
+
+  return {
+    name,
+    readTable,
+    updateFields,
+    updateFieldsById,
+    appendRows,
+    writeHeaders,
+    compareAndSet,
+    flush: async () => {},
+  };
+}
+
+module.exports = { columnNumberToLetter, toValues, toCell, createFileTable };
@@ -0,0 +1,122 @@
+/**
+ * lib/storage/writebuffer.js - Groups cell writes into batched API calls
+ *
+ * Writes are keyed by cell (a later write to the same cell replaces the
+ * earlier one) and sent when the buffer reaches `maxSize`, after `maxDelayMs`,
+ * on an explicit flush() and when the process exits or is interrupted.
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isRateLimited(err) {
+  const status = err?.response?.status || err?.code;
+  return Number(status) === 429;
+}
+
+function retryAfterMs(err) {
+  const header = err?.response?.headers?.["retry-after"];
+  const seconds = Number(header);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+// Retry `fn` on 429 responses with exponential backoff (1s, 2s, 4s, ... + jitter)
+async function withBackoff(fn, { retries = 5, baseMs = 1000, label = "request" } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!isRateLimited(err) || attempt >= retries) throw err;
+
+      const delay = Math.max(retryAfterMs(err), baseMs * 2 ** attempt) + Math.floor(Math.random() * 250);
+      console.log(`Rate limited on ${label}. Retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${retries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Every buffer of this process, flushed together on exit. The hooks are
+// installed once, however many plans and side tables a step opens.
+const buffers = new Set();
+let hooked = false;
+
+function flushAll(label) {
+  return Promise.allSettled([...buffers].map((buffer) => buffer.flush())).then((results) => {
+    results
+      .filter((result) => result.status === "rejected")
+      .forEach((result) => console.log(`${label} failed: ${result.reason?.message || result.reason}`));
+  });
+}
+
+function watchExit(buffer) {
+  buffers.add(buffer);
+  if (hooked) return;
+  hooked = true;
+
+  // Last chance to push pending writes before the process goes away
+  process.on("beforeExit", () => {
+    if ([...buffers].some((b) => b.size())) flushAll("Final sheet flush");
+  });
+
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => {
+      const code = signal === "SIGINT" ? 130 : 143;
+      flushAll(`Sheet flush on ${signal}`).finally(() => process.exit(code));
+    });
+  }
+}
+
+function createWriteBuffer({ send, maxSize = 50, maxDelayMs = 2000 }) {
+  const pending = new Map();
+  let timer = null;
+  let chain = Promise.resolve();
+  let backgroundError = null;
+
+  function clearTimer() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  function flush() {
+    clearTimer();
+
+    let run = chain;
+    if (pending.size) {
+      const batch = [...pending.values()];
+      pending.clear();
+      run = chain.then(() => send(batch));
+      chain = run.catch(() => {});
+    }
+
+    return run.then(() => {
+      if (backgroundError) {
+        const err = backgroundError;
+        backgroundError = null;
+        throw err;
+      }
+    });
+  }
+
+  async function add(key, item) {
+    pending.delete(key);
+    pending.set(key, item);
+
+    if (pending.size >= maxSize) return flush();
+
+    if (!timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        flush().catch((err) => {
+          console.log(`Batched sheet write failed: ${err.message}`);
+          backgroundError = err;
+        });
+      }, maxDelayMs);
+      timer.unref();
+    }
+  }
+
+  const buffer = { add, flush, size: () => pending.size };
+  watchExit(buffer);
+  return buffer;
+}
+
+module.exports = { createWriteBuffer, withBackoff, isRateLimited };
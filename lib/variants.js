@@ -0,0 +1,214 @@
+/**
+ * lib/variants.js - Several caption options per row
+ *
+ * With CAPTION_VARIANTS above 1, Generate Content writes that many captions,
+ * each with a different hook and length, to a Variants table (a "Variants"
+ * tab next to the plan, or plan.variants.csv/json; VARIANTS_TAB) and puts the
+ * chosen one in Caption. The row's CaptionVariant column holds the number of
+ * the chosen variant; changing it swaps the caption on the next run, up until
+ * the post goes out.
+ *
+ * Variant rows are queued and appended together, like History entries (see
+ * lib/history.js), and read back only after the queue is flushed.
+ *
+ * CAPTION_SELECTION picks the winner:
+ *   score   (default) a scoring prompt rates every variant and the best one wins
+ *   manual  nobody wins until a person fills in CaptionVariant
+ *   first   variant 1
+ */
+
+const { createSideStorage, ensureHeaders } = require("./storage");
+const { createWriteBuffer } = require("./storage/writebuffer");
+const { newRowId } = require("./row");
+const { renderPrompt } = require("./prompts");
+const { numberSetting } = require("./settings");
+
+const VARIANT_HEADERS = [
+  "VariantId",
+  "Timestamp",
+  "SetId",
+  "RowId",
+  "Row",
+  "Topic",
+  "Variant",
+  "Hook",
+  "Caption",
+  "Score",
+  "Reason",
+];
+
+const SELECTIONS = ["score", "manual", "first"];
+
+// Handed out in order so the variants don't all open the same way
+const HOOKS = [
+  "a question",
+  "a surprising fact or number",
+  "a short story",
+  "a bold statement",
+  "a practical tip",
+  "a bit of humour",
+];
+
+const LENGTHS = ["one short line", "two or three sentences", "a short paragraph"];
+
+function variantSettings() {
+  const count = Math.floor(numberSetting("CAPTION_VARIANTS", 1));
+  const selection = String(process.env.CAPTION_SELECTION || "score")
+    .trim()
+    .toLowerCase();
+
+  if (!SELECTIONS.includes(selection)) {
+    throw new Error(`Unknown CAPTION_SELECTION "${selection}". Use ${SELECTIONS.join(", ")}.`);
+  }
+
+  return { count: count > 1 ? count : 1, selection };
+}
+
+// Hook and length asked of variant `index` (0-based)
+function variantStyle(index) {
+  return { hook: HOOKS[index % HOOKS.length], length: LENGTHS[index % LENGTHS.length] };
+}
+
+function createVariants(options = {}) {
+  const store = createSideStorage(process.env.VARIANTS_TAB || "Variants", options);
+  let ready = null;
+
+  function prepare() {
+    if (!ready) {
+      ready = ensureHeaders(store, VARIANT_HEADERS);
+      ready.catch(() => (ready = null));
+    }
+    return ready;
+  }
+
+  const queue = createWriteBuffer({
+    maxSize: numberSetting("SHEETS_BATCH_SIZE", 50),
+    maxDelayMs: numberSetting("SHEETS_FLUSH_MS", 2000),
+    send: async (entries) => {
+      await prepare();
+      await store.appendRows(entries);
+      await store.flush();
+    },
+  });
+
+  // `variants` is [{ hook, caption, score, reason }] in variant order
+  async function save(row, variants) {
+    const setId = newRowId();
+    const timestamp = new Date().toISOString();
+    const saved = variants.map((v, i) => ({ ...v, variant: i + 1, setId }));
+
+    for (const v of saved) {
+      const entry = {
+        VariantId: newRowId(),
+        Timestamp: timestamp,
+        SetId: setId,
+        RowId: row.id,
+        Row: row.rowNumber,
+        Topic: row.get("topic"),
+        Variant: v.variant,
+        Hook: v.hook || "",
+        Caption: v.caption,
+        Score: v.score ?? "",
+        Reason: v.reason || "",
+      };
+      await queue.add(entry.VariantId, entry);
+    }
+    return saved;
+  }
+
+  // RowId -> variants of the most recent set, in variant order
+  async function latestByRow() {
+    await queue.flush();
+    await prepare();
+    const { headers, rows } = await store.readTable();
+
+    const entries = rows
+      .map((values) => Object.fromEntries(headers.map((h, i) => [h, values[i] == null ? "" : String(values[i])])))
+      .filter((e) => e.RowId && e.SetId)
+      .sort((a, b) => a.Timestamp.localeCompare(b.Timestamp));
+
+    const latest = new Map();
+    entries.forEach((e) => {
+      const set = latest.get(e.RowId);
+      if (!set || set.setId !== e.SetId) latest.set(e.RowId, { setId: e.SetId, variants: [] });
+      latest.get(e.RowId).variants.push({
+        variant: Number(e.Variant),
+        hook: e.Hook,
+        caption: e.Caption,
+        score: e.Score === "" ? null : Number(e.Score),
+        reason: e.Reason,
+      });
+    });
+
+    return new Map([...latest].map(([rowId, set]) => [rowId, set.variants.sort((a, b) => a.variant - b.variant)]));
+  }
+
+  return { save, latestByRow, flush: queue.flush };
+}
+
+const SCORE_SCHEMA = {
+  name: "caption_scores",
+  strict: true,
+  schema: {
+    type: "object",
+    properties: {
+      scores: {
+        type: "array",
+        description: "one entry per caption",
+        items: {
+          type: "object",
+          properties: {
+            variant: { type: "integer" },
+            score: { type: "number" },
+            reason: { type: "string" },
+          },
+          required: ["variant", "score", "reason"],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ["scores"],
+    additionalProperties: false,
+  },
+};
+
+// Adds score/reason to each variant. A scoring call that fails leaves them unscored.
+async function scoreVariants(model, variants, { vars, brand }) {
+  const prompt = [
+    renderPrompt("score", vars, brand),
+    "",
+    ...variants.map((v, i) => `${i + 1}. ${v.caption}`),
+    "",
+    "Reply with JSON: scores, one entry per caption with its number (variant), a score from 1 to 10 and a one-sentence reason.",
+  ].join("\n");
+
+  try {
+    const { scores } = await model.generateJSON(prompt, SCORE_SCHEMA);
+    return variants.map((v, i) => {
+      const entry = (scores || []).find((s) => Number(s.variant) === i + 1);
+      return entry ? { ...v, score: Number(entry.score), reason: String(entry.reason || "") } : v;
+    });
+  } catch (err) {
+    console.log(`Scoring captions failed, keeping them unscored: ${err.message}`);
+    return variants;
+  }
+}
+
+// Variant number to use, or null when a person has to choose
+function pickVariant(variants, selection) {
+  if (!variants.length || selection === "manual") return null;
+  if (selection === "first") return variants[0].variant;
+
+  const scored = variants.filter((v) => Number.isFinite(v.score));
+  if (!scored.length) return variants[0].variant;
+  return scored.reduce((best, v) => (v.score > best.score ? v : best)).variant;
+}
+
+module.exports = {
+  createVariants,
+  variantSettings,
+  variantStyle,
+  scoreVariants,
+  pickVariant,
+  VARIANT_HEADERS,
+};
@@ -0,0 +1,176 @@
+/**
+ * lib/website.js - What a company's website says, for grounding captions
+ *
+ *   const site = createWebsiteReader();
+ *   const page = await site.read("acme.example");
+ *   // { url, title, description, paragraphs: [...] } or null
+ *
+ * Pages are cached per domain in data/website-cache/<domain>.json
+ * (WEBSITE_CACHE_DIR) for WEBSITE_CACHE_HOURS (default 168), so a plan full
+ * of rows for one client fetches its site once a week. A site that can't be
+ * read is logged and the post is written without it.
+ *
+ * WEBSITE_MAX_PARAGRAPHS (default 5) and WEBSITE_MAX_CHARS (default 1500)
+ * keep the extract short; WEBSITE_TIMEOUT_MS (default 10000) limits each fetch.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { numberSetting } = require("./settings");
+
+const ROOT = path.join(__dirname, "..");
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  mdash: "—",
+  ndash: "–",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+};
+
+function normalizeUrl(value) {
+  const text = String(value || "").trim();
+  if (!text) return null;
+
+  try {
+    const url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+    url.hash = "";
+    return url;
+  } catch {
+    return null;
+  }
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function toText(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function metaContent(html, names) {
+  for (const name of names) {
+    const tag = html.match(new RegExp(`<meta[^>]+(?:name|property)=["']${name}["'][^>]*>`, "i"));
+    const content = tag && tag[0].match(/content=["']([^"']*)["']/i);
+    if (content && content[1].trim()) return toText(content[1]);
+  }
+  return "";
+}
+
+// Title, description and the first few paragraphs of real text
+function extractPage(html, { maxParagraphs, maxChars }) {
+  const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = metaContent(html, ["og:title"]) || (titleTag ? toText(titleTag[1]) : "");
+  const description = metaContent(html, ["description", "og:description", "twitter:description"]);
+
+  // Menus, cookie banners and footers are the same on every page and say nothing about the products
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(script|style|noscript|svg|nav|header|footer|form|aside)\b[\s\S]*?<\/\1>/gi, " ");
+
+  const paragraphs = [];
+  const seen = new Set([description]);
+  let total = 0;
+
+  for (const match of body.matchAll(/<(p|li|h[1-3])\b[^>]*>([\s\S]*?)<\/\1>/gi)) {
+    const text = toText(match[2]);
+    if (text.length < 40 || seen.has(text)) continue;
+    if (paragraphs.length >= maxParagraphs || total + text.length > maxChars) break;
+
+    seen.add(text);
+    paragraphs.push(text);
+    total += text.length;
+  }
+
+  return { title, description, paragraphs };
+}
+
+function createWebsiteReader() {
+  const cacheDir = path.resolve(ROOT, process.env.WEBSITE_CACHE_DIR || path.join("data", "website-cache"));
+  const ttlMs = numberSetting("WEBSITE_CACHE_HOURS", 168) * 60 * 60 * 1000;
+  const limits = {
+    maxParagraphs: numberSetting("WEBSITE_MAX_PARAGRAPHS", 5),
+    maxChars: numberSetting("WEBSITE_MAX_CHARS", 1500),
+  };
+  const timeoutMs = numberSetting("WEBSITE_TIMEOUT_MS", 10000);
+
+  function cacheFile(url) {
+    return path.join(cacheDir, `${url.hostname.replace(/^www\./, "")}.json`);
+  }
+
+  // { pages: { [url]: { fetchedAt, title, description, paragraphs } } }
+  function readCache(url) {
+    try {
+      return JSON.parse(fs.readFileSync(cacheFile(url), "utf8"));
+    } catch {
+      return { pages: {} };
+    }
+  }
+
+  function writeCache(url, cache) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(cacheFile(url), JSON.stringify(cache, null, 2));
+  }
+
+  async function fetchPage(url) {
+    const res = await fetch(url, {
+      headers: { "User-Agent": "Mozilla/5.0 (compatible; content-automation)", Accept: "text/html" },
+      redirect: "follow",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const type = res.headers.get("content-type") || "";
+    if (!type.includes("html")) throw new Error(`not an HTML page (${type || "no content type"})`);
+
+    return extractPage(await res.text(), limits);
+  }
+
+  // null when there is no usable URL or the page can't be read
+  async function read(value) {
+    const url = normalizeUrl(value);
+    if (!url) return null;
+
+    const key = url.href;
+    const cache = readCache(url);
+    const cached = cache.pages[key];
+    if (cached && Date.now() - Date.parse(cached.fetchedAt) < ttlMs) return { url: key, ...cached };
+
+    try {
+      const page = await fetchPage(key);
+      cache.pages[key] = { fetchedAt: new Date().toISOString(), ...page };
+      writeCache(url, cache);
+      console.log(`Read ${key}: ${page.paragraphs.length} paragraph(s)`);
+      return { url: key, ...cache.pages[key] };
+    } catch (err) {
+      const cause = err.cause ? ` (${err.cause.code || err.cause.message})` : "";
+      console.log(`Could not read ${key}: ${err.message}${cause}`);
+      // An old copy beats nothing
+      return cached ? { url: key, ...cached } : null;
+    }
+  }
+
+  return { read };
+}
+
+module.exports = { createWebsiteReader, extractPage, normalizeUrl };
@@ -0,0 +1,141 @@
+/**
+ * lib/workspace.js - Several content plans (spreadsheets and/or tabs) in one install
+ *
+ * workspace.json (or WORKSPACE_FILE) lists one entry per brand/client/month:
+ *
+ *   {
+ *     "workspaces": [
+ *       {
+ *         "name": "acme",
+ *         "sheetUrl": "https://docs.google.com/spreadsheets/d/...",
+ *         "tabs": ["January", "February"],
+ *         "driveFolder": "AutoFb-Acme",
+ *         "assetBackend": "s3",
+ *         "assetPrefix": "acme/",
+ *         "pageId": "1234567890",
+ *         "pageTokenEnv": "ACME_PAGE_TOKEN",
+ *         "logoUrl": "https://drive.google.com/file/d/.../view",
+ *         "logoPosition": "TopRight",
+ *         "logoSize": 0.2,
+ *         "env": { "FONT_SIZE": "28" }
+ *       }
+ *     ]
+ *   }
+ *
+ * Each entry is turned into environment overrides for the pipeline steps, so
+ * the steps themselves only ever see a single plan. Anything left out falls
+ * back to .env, except the page token: a workspace only ever posts with its
+ * own (pageTokenEnv), so an entry with a pageId needs one.
+ * An entry with `tabs` is expanded into one workspace per tab.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+
+const ENV_KEYS = {
+  sheetUrl: "SHEET_URL",
+  tab: "SHEET_TAB",
+  storageBackend: "STORAGE_BACKEND",
+  storagePath: "STORAGE_PATH",
+  driveFolder: "DRIVE_FOLDER",
+  assetBackend: "ASSET_BACKEND",
+  assetDir: "ASSET_DIR",
+  assetBucket: "ASSET_S3_BUCKET",
+  assetPrefix: "ASSET_S3_PREFIX",
+  pageId: "PAGE_ID",
+  pageToken: "PAGE_TOKEN",
+  logoUrl: "DEFAULT_LOGO_URL",
+  logoPosition: "DEFAULT_LOGO_POSITION",
+  logoSize: "LOGO_SIZE",
+};
+
+function workspaceFile() {
+  return path.resolve(ROOT, process.env.WORKSPACE_FILE || "workspace.json");
+}
+
+function expandTabs(entry) {
+  if (!Array.isArray(entry.tabs) || !entry.tabs.length) return [entry];
+
+  return entry.tabs.map((tab) => {
+    const { tabs, ...rest } = entry;
+    return { ...rest, tab, name: `${entry.name}/${tab}` };
+  });
+}
+
+// Returns [] when no workspace file exists (single-plan mode driven by .env)
+function loadWorkspaces() {
+  const file = workspaceFile();
+  if (!fs.existsSync(file)) return [];
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not parse ${path.basename(file)}: ${err.message}`);
+  }
+
+  const entries = Array.isArray(data) ? data : data.workspaces || [];
+
+  entries.forEach((entry, i) => {
+    if (!entry.name) throw new Error(`Workspace #${i + 1} in ${path.basename(file)} has no "name"`);
+    if (entry.pageId && !entry.pageTokenEnv && !entry.pageToken) {
+      throw new Error(`Workspace "${entry.name}" has a pageId but no pageTokenEnv`);
+    }
+  });
+
+  const workspaces = entries.filter((e) => e.enabled !== false).flatMap(expandTabs);
+
+  const seen = new Set();
+  workspaces.forEach((ws) => {
+    if (seen.has(ws.name)) throw new Error(`Duplicate workspace name "${ws.name}"`);
+    seen.add(ws.name);
+  });
+
+  return workspaces;
+}
+
+function workspaceEnv(ws) {
+  const env = { WORKSPACE: ws.name };
+
+  for (const [field, key] of Object.entries(ENV_KEYS)) {
+    if (ws[field] !== undefined && ws[field] !== "") env[key] = String(ws[field]);
+  }
+
+  // Keep page tokens out of workspace.json by naming the .env variable instead.
+  // Always set, so a workspace never falls back to the .env token of another page.
+  env.PAGE_TOKEN = ws.pageTokenEnv ? process.env[ws.pageTokenEnv] || "" : env.PAGE_TOKEN || "";
+  if (ws.pageId && !env.PAGE_TOKEN) {
+    throw new Error(`Workspace "${ws.name}": ${ws.pageTokenEnv || "pageToken"} is empty, no token for page ${ws.pageId}`);
+  }
+
+  for (const [key, value] of Object.entries(ws.env || {})) {
+    env[key] = String(value);
+  }
+
+  return env;
+}
+
+// Options for createStorage() when a script handles the workspaces in-process
+function storageOptions(ws) {
+  return {
+    backend: ws.storageBackend,
+    path: ws.storagePath,
+    sheetUrl: ws.sheetUrl,
+    tab: ws.tab,
+  };
+}
+
+// Options for createAssetStore(), the same way
+function assetOptions(ws) {
+  return {
+    backend: ws.assetBackend,
+    dir: ws.assetDir,
+    bucket: ws.assetBucket,
+    prefix: ws.assetPrefix,
+    folder: ws.driveFolder,
+  };
+}
+
+module.exports = { loadWorkspaces, workspaceEnv, workspaceFile, storageOptions, assetOptions };
@@ -3,13 +3,17 @@
  * 
  * Runs scripts 1-4 only (skips authentication/token setup):
  * 1. Generate Content (GPT)
- * 2. Generate Images (DALL-E 3)
+ * 2. Generate Images (IMAGE_PROVIDER, see lib/images.js)
  * 3. Embed Logo
  * 4. Embed Text
  * 
  * Usage:
  *   node mainrunner.js --run-once           # Run all scripts once
  *   node mainrunner.js --schedule "* * * * *"  # Run on cron schedule
+ *   node mainrunner.js --run-once --workspace acme  # Only one workspace
+ *
+ * When workspace.json exists, the pipeline runs once per workspace with that
+ * workspace's settings (see lib/workspace.js).
  */
 
 require("dotenv").config();
@@ -17,6 +21,7 @@ const { spawn } = require("child_process");
 const path = require("path");
 const cron = require("node-cron");
 const fs = require("fs");
+const { loadWorkspaces, workspaceEnv } = require("./lib/workspace");
 
 // Color codes for console output
 const colors = {
@@ -41,7 +46,7 @@ const PIPELINE = [
     name: "Generate Images",
     file: "2.genimage.js",
     optional: false,
-    description: "Generate images using DALL-E 3"
+    description: "Generate images (OpenAI, Stable Diffusion or placeholder)"
   },
   {
     name: "Embed Logo",
@@ -55,6 +60,12 @@ const PIPELINE = [
     optional: false,
     description: "Embed text overlays on images"
   },
+  {
+    name: "Renditions",
+    file: "4.1.renditions.js",
+    optional: true,
+    description: "Make story, portrait and link sizes of finished images"
+  },
   {
     name: "Post to Facebook",
     file: "5.post2fbgen3.js",
@@ -78,7 +89,7 @@ function log(level, message) {
 }
 
 // Run a single script
-async function runScript(scriptConfig) {
+async function runScript(scriptConfig, env = {}) {
   return new Promise((resolve, reject) => {
     const scriptPath = path.join(__dirname, scriptConfig.file);
 
@@ -90,12 +101,13 @@ async function runScript(scriptConfig) {
     log("task", `Starting: ${scriptConfig.name}`);
     log("info", `Description: ${scriptConfig.description}`);
 
-    const process = spawn("node", [scriptPath], {
+    const child = spawn("node", [scriptPath], {
       stdio: "inherit",
-      cwd: __dirname
+      cwd: __dirname,
+      env: { ...process.env, ...env }
     });
 
-    process.on("close", (code) => {
+    child.on("close", (code) => {
       if (code === 0) {
         log("success", `Completed: ${scriptConfig.name}`);
         resolve();
@@ -112,17 +124,26 @@ async function runScript(scriptConfig) {
       }
     });
 
-    process.on("error", (error) => {
+    child.on("error", (error) => {
       reject(new Error(`Failed to run ${scriptConfig.name}: ${error.message}`));
     });
   });
 }
 
-// Run entire pipeline
-async function runPipeline(mode = "once") {
+// Run every step for one plan (workspace = null uses .env as is)
+async function runSteps(mode, workspace = null) {
+  let env = {};
+  try {
+    if (workspace) env = workspaceEnv(workspace);
+  } catch (error) {
+    log("error", error.message);
+    return { success: false, successCount: 0, failCount: 1, totalTime: 0 };
+  }
+
   log("info", `========================================`);
   log("info", `Content Processing Pipeline (Steps 1-4)`);
   log("info", `Mode: ${mode}`);
+  if (workspace) log("info", `Workspace: ${workspace.name}`);
   log("info", `========================================`);
 
   const startTime = Date.now();
@@ -131,7 +152,7 @@ async function runPipeline(mode = "once") {
 
   for (const script of PIPELINE) {
     try {
-      await runScript(script);
+      await runScript(script, env);
       successCount++;
     } catch (error) {
       failCount++;
@@ -158,14 +179,51 @@ async function runPipeline(mode = "once") {
   return { success: failCount === 0, successCount, failCount, totalTime };
 }
 
+// Run entire pipeline, once per workspace when workspace.json is present
+async function runPipeline(mode = "once", { workspace } = {}) {
+  let workspaces = loadWorkspaces();
+
+  if (workspace) {
+    workspaces = workspaces.filter(
+      (ws) => ws.name === workspace || ws.name.startsWith(`${workspace}/`)
+    );
+    if (!workspaces.length) throw new Error(`Workspace not found: ${workspace}`);
+  }
+
+  if (!workspaces.length) return runSteps(mode);
+
+  const startTime = Date.now();
+  const failed = [];
+  let successCount = 0;
+  let failCount = 0;
+
+  // One brand failing must not hold up the others
+  for (const ws of workspaces) {
+    const result = await runSteps(mode, ws);
+    successCount += result.successCount;
+    failCount += result.failCount;
+    if (!result.success) failed.push(ws.name);
+  }
+
+  log("info", `Workspaces run: ${workspaces.length} | Failed: ${failed.length}`);
+  if (failed.length) log("warn", `Failed workspaces: ${failed.join(", ")}`);
+
+  return {
+    success: failed.length === 0,
+    successCount,
+    failCount,
+    totalTime: Date.now() - startTime
+  };
+}
+
 // Schedule pipeline to run periodically
-function scheduleExecution(cronExpression) {
+function scheduleExecution(cronExpression, options = {}) {
   log("info", `Scheduling pipeline to run: "${cronExpression}"`);
 
   const task = cron.schedule(cronExpression, async () => {
     log("info", `Cron triggered execution at ${new Date().toISOString()}`);
     try {
-      await runPipeline("scheduled");
+      await runPipeline("scheduled", options);
     } catch (error) {
       log("error", `Scheduled execution failed: ${error.message}`);
     }
@@ -179,12 +237,20 @@ function scheduleExecution(cronExpression) {
 function parseArguments() {
   const args = process.argv.slice(2);
 
+  let workspace;
+  const wsIdx = args.indexOf("--workspace");
+  if (wsIdx !== -1) {
+    workspace = args[wsIdx + 1];
+    if (!workspace) return { mode: "invalid" };
+    args.splice(wsIdx, 2);
+  }
+
   if (args.length === 0 || args[0] === "--run-once") {
-    return { mode: "once" };
+    return { mode: "once", workspace };
   }
 
   if (args[0] === "--schedule" && args[1]) {
-    return { mode: "schedule", cronExpression: args[1] };
+    return { mode: "schedule", cronExpression: args[1], workspace };
   }
 
   if (args[0] === "--help" || args[0] === "-h") {
@@ -205,6 +271,7 @@ ${colors.cyan}Usage:${colors.reset}
 ${colors.cyan}Options:${colors.reset}
   --run-once                    Run pipeline once and exit (default)
   --schedule "CRON_EXPRESSION"  Run pipeline on a schedule
+  --workspace NAME              Only run this workspace from workspace.json
   --help, -h                    Display this help message
 
 ${colors.cyan}Examples:${colors.reset}
@@ -220,6 +287,9 @@ ${colors.cyan}Examples:${colors.reset}
   # Run every Monday at 8 AM
   node mainrunner.js --schedule "0 8 * * 1"
 
+  # Run only the "acme" workspace (all of its tabs)
+  node mainrunner.js --run-once --workspace acme
+
 ${colors.cyan}Cron Expression Format:${colors.reset}
   ┌───────────── minute (0 - 59)
   │ ┌───────────── hour (0 - 23)
@@ -248,12 +318,14 @@ ${colors.cyan}Notes:${colors.reset}
   - Each script must complete successfully to proceed
   - Check .env file for required environment variables
   - To Post in facebook, run npm run fb:post
+  - With a workspace.json, every listed spreadsheet/tab runs in turn with
+    its own sheet, Drive folder, Page and logo defaults
   `);
 }
 
 // Main entry point
 async function main() {
-  const { mode, cronExpression } = parseArguments();
+  const { mode, cronExpression, workspace } = parseArguments();
 
   if (mode === "help") {
     displayHelp();
@@ -268,7 +340,7 @@ async function main() {
 
   if (mode === "once") {
     try {
-      const result = await runPipeline("once");
+      const result = await runPipeline("once", { workspace });
       process.exit(result.success ? 0 : 1);
     } catch (error) {
       log("error", `Fatal error: ${error.message}`);
@@ -285,10 +357,10 @@ async function main() {
 
       // Run once immediately, then schedule
       log("info", "Running pipeline immediately...");
-      await runPipeline("scheduled");
+      await runPipeline("scheduled", { workspace });
 
       // Then schedule for future runs
-      scheduleExecution(cronExpression);
+      scheduleExecution(cronExpression, { workspace });
 
       // Keep process alive
       process.on("SIGINT", () => {
@@ -308,4 +380,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { runPipeline, runScript, scheduleExecution };
+module.exports = { runPipeline, runSteps, runScript, scheduleExecution };
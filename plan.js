@@ -0,0 +1,188 @@
+/**
+ * plan.js - Fill the plan with dated topics for a company
+ *
+ * Usage:
+ *   node plan.js --company Acme --from 2026-11-01 --to 2026-11-30 \
+ *     --frequency 3/week --pillars "Tips, Products, Behind the scenes"
+ *
+ * Options:
+ *   --frequency   daily | weekdays | weekly | 3/week | mon,wed,fri (default 3/week)
+ *   --time        "10:00 AM", or a comma list used in turn (default POST_TIME or 10:00 AM)
+ *   --country     holidays to include from holidays.json (default HOLIDAY_COUNTRY)
+ *   --dry-run     print the topics without adding rows
+ *   --workspace   with workspace.json
+ *
+ * Pillars take turns across the posting days, and holidays and observances
+ * (lib/calendar.js) are worked into the topics near them. Topics are written
+ * by the "plan" model (LLM_PLAN_*) from the brand profile and website, and
+ * don't repeat each other or the company's earlier topics. Days the company
+ * already has a row for are left alone. New rows are added as drafts with
+ * PostDate and PostTime set, ready for Generate Content.
+ */
+
+require("dotenv").config();
+const { createStorage } = require("./lib/storage");
+const { loadRows, resolveColumns, newRowId } = require("./lib/row");
+const { getColumn } = require("./lib/schema");
+const { createBrands, companyKey } = require("./lib/brands");
+const { promptVariables } = require("./lib/prompts");
+const { createLLM } = require("./lib/llm");
+const { createWebsiteReader } = require("./lib/website");
+const { loadWorkspaces, storageOptions } = require("./lib/workspace");
+const { numberSetting, toList } = require("./lib/settings");
+const {
+  parseDate,
+  formatPostDate,
+  isoDate,
+  parseFrequency,
+  postingDates,
+  loadHolidays,
+  occasionsBetween,
+  buildSlots,
+  planTopics,
+} = require("./lib/calendar");
+
+const OPTIONS = ["company", "from", "to", "frequency", "pillars", "time", "country", "workspace"];
+const TIME = /^(0?[1-9]|1[0-2]):[0-5]\d\s*(AM|PM)$/i;
+
+function parseArguments() {
+  const args = process.argv.slice(2);
+  const parsed = { dryRun: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, "");
+    if (name === "dry-run") {
+      parsed.dryRun = true;
+    } else if (name === "help" || name === "h") {
+      parsed.help = true;
+    } else if (OPTIONS.includes(name) && args[i + 1] !== undefined) {
+      parsed[name] = args[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option "${args[i]}"`);
+    }
+  }
+
+  return parsed;
+}
+
+function planOptions(name) {
+  const workspaces = loadWorkspaces();
+  if (!workspaces.length) return {};
+
+  if (!name) {
+    if (workspaces.length === 1) return storageOptions(workspaces[0]);
+    throw new Error(`Several workspaces configured. Pick one with --workspace (${workspaces.map((w) => w.name).join(", ")})`);
+  }
+
+  const ws = workspaces.find((w) => w.name === name);
+  if (!ws) throw new Error(`Workspace "${name}" not found in workspace.json`);
+  return storageOptions(ws);
+}
+
+function parseTimes(value) {
+  const times = toList(value || process.env.POST_TIME || "10:00 AM");
+  const bad = times.filter((t) => !TIME.test(t));
+  if (bad.length) throw new Error(`Invalid time(s) ${bad.join(", ")}. Use HH:MM AM/PM, e.g. 10:00 AM.`);
+
+  // "9:30am" -> "09:30 AM"
+  return times.map((t) => {
+    const [, hour, ampm] = t.match(TIME);
+    return `${hour.padStart(2, "0")}:${t.match(/:(\d\d)/)[1]} ${ampm.toUpperCase()}`;
+  });
+}
+
+function samePostDate(value, date) {
+  try {
+    return isoDate(parseDate(value)) === isoDate(date);
+  } catch {
+    return false;
+  }
+}
+
+async function main() {
+  const args = parseArguments();
+
+  if (args.help || !args.company || !args.from || !args.to || !args.pillars) {
+    console.log(
+      'Usage: node plan.js --company NAME --from YYYY-MM-DD --to YYYY-MM-DD --pillars "A, B" ' +
+        "[--frequency 3/week] [--time \"10:00 AM\"] [--country IN] [--dry-run] [--workspace NAME]"
+    );
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const from = parseDate(args.from);
+  const to = parseDate(args.to);
+  const pillars = toList(args.pillars);
+  if (!pillars.length) throw new Error("Give at least one content pillar with --pillars");
+  const times = parseTimes(args.time);
+  const country = args.country || process.env.HOLIDAY_COUNTRY || "";
+
+  const options = planOptions(args.workspace);
+  const storage = createStorage(options);
+  const { headers, rows } = await loadRows(storage);
+  const columns = resolveColumns(headers);
+
+  const missing = ["company", "topic", "postDate", "postTime"].filter((key) => !(key in columns));
+  if (missing.length) {
+    throw new Error(`The plan has no ${missing.map((k) => getColumn(k).header).join(", ")} column. Run npm run sheet:init first.`);
+  }
+
+  const company = args.company.trim();
+  const companyRows = rows.filter((r) => companyKey(r.get("company")) === companyKey(company));
+  const existing = companyRows.map((r) => r.get("topic")).filter(Boolean);
+
+  const dates = postingDates(from, to, parseFrequency(args.frequency || "3/week")).filter(
+    (date) => !companyRows.some((r) => samePostDate(r.get("postDate"), date))
+  );
+  if (!dates.length) {
+    console.log(`Nothing to plan: ${company} already has a row on every posting day from ${args.from} to ${args.to}.`);
+    return;
+  }
+
+  const occasions = occasionsBetween(loadHolidays(), from, to, country);
+  const slots = buildSlots(dates, pillars, occasions);
+  console.log(
+    `Planning ${slots.length} post(s) for ${company}: ${pillars.length} pillar(s), ${occasions.length} occasion(s)` +
+      `${country ? ` for ${country.toUpperCase()}` : ""}.`
+  );
+
+  const brand = await createBrands(options).get(company);
+  const website = brand ? brand.website : "";
+  const page =
+    (process.env.WEBSITE_CONTEXT || "yes").toLowerCase() !== "no" ? await createWebsiteReader().read(website) : null;
+  const vars = promptVariables({ company, topic: "", website, page }, brand);
+
+  const model = createLLM("plan");
+  const attempts = Math.max(1, numberSetting("CONTENT_ATTEMPTS", 3));
+  const topics = await planTopics(model, slots, { vars, brand, existing, attempts });
+
+  const planned = slots.map((slot, i) => ({
+    rowId: newRowId(),
+    company,
+    topic: topics[i],
+    pillar: slot.pillar,
+    postDate: formatPostDate(slot.date),
+    postTime: times[i % times.length],
+    status: "draft",
+  }));
+
+  planned.forEach((p) => console.log(`${p.postDate}  ${p.postTime}  ${p.pillar.padEnd(16)}  ${p.topic}`));
+
+  if (args.dryRun) {
+    console.log("Dry run: no rows added.");
+    return;
+  }
+
+  // Written under the plan's own header names; columns it doesn't have are skipped
+  await storage.appendRows(
+    planned.map((p) =>
+      Object.fromEntries(Object.entries(p).filter(([key]) => key in columns).map(([key, value]) => [headers[columns[key]], value]))
+    )
+  );
+  console.log(`Added ${planned.length} row(s) to the plan (${model.name}).`);
+}
+
+main().catch((err) => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
@@ -264,6 +264,185 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // --- Content Plan Status ---
+    const btnPlanStatus = document.getElementById('btn-plan-status');
+    const planStatus = document.getElementById('plan-status');
+
+    function cell(tag, text) {
+        const el = document.createElement(tag);
+        el.textContent = text;
+        return el;
+    }
+
+    async function loadPlanStatus() {
+        btnPlanStatus.disabled = true;
+        planStatus.textContent = 'Loading...';
+
+        const data = await apiCall('/api/plan-status');
+        btnPlanStatus.disabled = false;
+        planStatus.textContent = '';
+
+        if (!data.success) {
+            planStatus.textContent = `Could not read the content plan: ${data.error}`;
+            return;
+        }
+
+        data.plans.forEach(plan => {
+            planStatus.appendChild(cell('h3', plan.name));
+
+            const counts = document.createElement('table');
+            counts.className = 'plan-table';
+            const head = counts.insertRow();
+            const values = counts.insertRow();
+            data.states.forEach(state => {
+                head.appendChild(cell('th', state));
+                values.appendChild(cell('td', plan.counts[state]));
+            });
+            planStatus.appendChild(counts);
+
+            const rows = document.createElement('table');
+            rows.className = 'plan-table';
+            const rowsHead = rows.insertRow();
+            ['Row', 'Topic', 'Status', 'Detail', ''].forEach(h => rowsHead.appendChild(cell('th', h)));
+            plan.rows.forEach(r => {
+                const tr = rows.insertRow();
+                [r.row, r.topic, r.status, r.detail].forEach(v => tr.appendChild(cell('td', v)));
+                tr.className = `status-${r.status}`;
+
+                const actions = tr.insertCell();
+                if (r.id && r.candidates.length) {
+                    const btn = cell('button', 'Images');
+                    btn.className = 'btn btn-outline btn-small';
+                    btn.addEventListener('click', () => showCandidates(plan.name, r, tr));
+                    actions.appendChild(btn);
+                }
+                if (r.id) {
+                    const btn = cell('button', 'History');
+                    btn.className = 'btn btn-outline btn-small';
+                    btn.addEventListener('click', () => showHistory(plan.name, r, tr));
+                    actions.appendChild(btn);
+                }
+            });
+            planStatus.appendChild(rows);
+        });
+    }
+
+    // --- Version History ---
+    async function showHistory(planName, r, tr) {
+        const existing = tr.nextElementSibling;
+        if (existing && existing.classList.contains('history-row')) {
+            existing.remove();
+            return;
+        }
+
+        const historyRow = tr.parentNode.insertRow(tr.sectionRowIndex + 1);
+        historyRow.className = 'history-row';
+        const td = historyRow.insertCell();
+        td.colSpan = 5;
+        td.textContent = 'Loading history...';
+
+        const data = await apiCall(`/api/history?plan=${encodeURIComponent(planName)}&rowId=${encodeURIComponent(r.id)}`);
+        td.textContent = '';
+
+        if (!data.success) {
+            td.textContent = `Could not load history: ${data.error}`;
+            return;
+        }
+        if (!data.entries.length) {
+            td.textContent = 'No earlier versions saved for this row yet.';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'plan-table';
+        const head = table.insertRow();
+        ['When', 'Field', 'Value', 'Model', ''].forEach(h => head.appendChild(cell('th', h)));
+
+        data.entries.forEach(e => {
+            const entryRow = table.insertRow();
+            entryRow.appendChild(cell('td', new Date(e.Timestamp).toLocaleString()));
+            entryRow.appendChild(cell('td', e.Field));
+
+            const value = entryRow.insertCell();
+            const isLink = /^https?:\/\//.test(e.Value);
+            if (isLink || /^(drive|local|s3):/.test(e.Value)) {
+                // Stored images without a public link open through the server
+                const link = cell('a', 'Open image');
+                link.href = isLink ? e.Value : `/api/assets?plan=${encodeURIComponent(planName)}&ref=${encodeURIComponent(e.Value)}`;
+                link.target = '_blank';
+                value.appendChild(link);
+            } else {
+                value.textContent = e.Value;
+            }
+
+            entryRow.appendChild(cell('td', e.Model || '-'));
+
+            const restore = cell('button', 'Restore');
+            restore.className = 'btn btn-secondary btn-small';
+            restore.addEventListener('click', async () => {
+                if (!confirm(`Restore this ${e.Field} into row ${r.row}?`)) return;
+                const res = await apiCall('/api/history/restore', 'POST', { plan: planName, historyId: e.HistoryId });
+                alert(res.success ? res.message : `Restore failed: ${res.error}`);
+                if (res.success) loadPlanStatus();
+            });
+            entryRow.insertCell().appendChild(restore);
+        });
+
+        td.appendChild(table);
+    }
+
+    // --- Image Candidates ---
+    function showCandidates(planName, r, tr) {
+        const existing = tr.nextElementSibling;
+        if (existing && existing.classList.contains('candidates-row')) {
+            existing.remove();
+            return;
+        }
+
+        const galleryRow = tr.parentNode.insertRow(tr.sectionRowIndex + 1);
+        galleryRow.className = 'candidates-row';
+        const td = galleryRow.insertCell();
+        td.colSpan = 5;
+
+        const gallery = document.createElement('div');
+        gallery.className = 'candidate-gallery';
+
+        r.candidates.forEach(c => {
+            const item = document.createElement('figure');
+            item.className = c.link === r.image ? 'candidate chosen' : 'candidate';
+
+            const link = document.createElement('a');
+            link.href = c.url;
+            link.target = '_blank';
+            const img = document.createElement('img');
+            img.src = c.thumbnail;
+            img.alt = `Candidate ${c.number}`;
+            img.loading = 'lazy';
+            link.appendChild(img);
+            item.appendChild(link);
+
+            const caption = document.createElement('figcaption');
+            if (c.link === r.image) {
+                caption.textContent = `${c.number}: in use`;
+            } else {
+                const use = cell('button', `Use ${c.number}`);
+                use.className = 'btn btn-secondary btn-small';
+                use.addEventListener('click', async () => {
+                    const res = await apiCall('/api/candidates/pick', 'POST', { plan: planName, rowId: r.id, candidate: c.number });
+                    alert(res.success ? res.message : `Could not use this image: ${res.error}`);
+                    if (res.success) loadPlanStatus();
+                });
+                caption.appendChild(use);
+            }
+            item.appendChild(caption);
+            gallery.appendChild(item);
+        });
+
+        td.appendChild(gallery);
+    }
+
+    btnPlanStatus.addEventListener('click', loadPlanStatus);
+
     // Init
     loadStatus();
 });
@@ -6,6 +6,14 @@ const path = require('path');
 const { spawn, exec } = require('child_process');
 const dotenv = require('dotenv');
 const cron = require('node-cron');
+const sharp = require('sharp');
+const { createStorage } = require('./lib/storage');
+const { loadRows } = require('./lib/row');
+const { loadWorkspaces, storageOptions, assetOptions } = require('./lib/workspace');
+const { STATES, getStatus, countByStatus } = require('./lib/status');
+const { createHistory } = require('./lib/history');
+const { parseCandidates, pickCandidate, thumbnailUrl } = require('./lib/candidates');
+const { createAssetStore, isAssetRef } = require('./lib/assets');
 
 // Load environment variables
 dotenv.config();
@@ -130,6 +138,11 @@ app.get('/api/status', async (req, res) => {
         loggedIn,
         config: {
             SHEET_URL: config.SHEET_URL || '',
+            SHEET_TAB: config.SHEET_TAB || 'Sheet1',
+            STORAGE_BACKEND: config.STORAGE_BACKEND || 'sheets',
+            STORAGE_PATH: config.STORAGE_PATH || '',
+            ASSET_BACKEND: config.ASSET_BACKEND || 'drive',
+            ASSET_DIR: config.ASSET_DIR || '',
             OPENAI_KEY: config.OPENAI_KEY || '',
             LOGO_SIZE: config.LOGO_SIZE || '0.1',
             FONT_SIZE: config.FONT_SIZE || '20',
@@ -145,14 +158,31 @@ app.get('/api/status', async (req, res) => {
 // 2. Save Config (.env)
 app.post('/api/config', async (req, res) => {
     const newConfig = req.body;
-    let envContent = '';
-
-    // We strictly define the order to match user expectation or keep it clean
-    for (const [key, value] of Object.entries(newConfig)) {
-        envContent += `${key}=${value}\n`;
-    }
 
     try {
+        // Merge into the existing .env so keys the form doesn't show are kept
+        let existing = '';
+        try {
+            existing = await fsPromises.readFile(ENV_PATH, 'utf8');
+        } catch (e) {
+            // .env might not exist yet
+        }
+
+        const seen = new Set();
+        const lines = existing.split('\n').filter(line => line.trim()).map(line => {
+            const key = line.split('=')[0].trim();
+            if (key in newConfig) {
+                seen.add(key);
+                return `${key}=${newConfig[key]}`;
+            }
+            return line;
+        });
+
+        for (const [key, value] of Object.entries(newConfig)) {
+            if (!seen.has(key)) lines.push(`${key}=${value}`);
+        }
+
+        const envContent = lines.join('\n') + '\n';
         await fsPromises.writeFile(ENV_PATH, envContent);
         // Reload dotenv
         dotenv.config({ override: true });
@@ -175,6 +205,7 @@ app.post('/api/run', async (req, res) => {
         '2.genimage.js',
         '3.embedlogo.js',
         '4.embedtxt.js',
+        '4.1.renditions.js',
         '5.post2fbgen3.js',
         'mainrunner.js'
     ];
@@ -277,6 +308,147 @@ app.post('/api/stop', (req, res) => {
     res.json({ success: true, message });
 });
 
+// 7. Content Plan Status (where every row stands in the lifecycle)
+// Storages are reused between requests; the key includes the .env values they fall back to
+const planCache = new Map();
+const cached = (kind, options, create) => {
+    const env = [
+        'STORAGE_BACKEND', 'STORAGE_PATH', 'SHEET_URL', 'SHEET_TAB', 'HISTORY_TAB',
+        'ASSET_BACKEND', 'ASSET_DIR', 'ASSET_S3_BUCKET', 'ASSET_S3_PREFIX', 'DRIVE_FOLDER'
+    ].map(k => process.env[k]);
+    const key = JSON.stringify([kind, options, env]);
+    if (!planCache.has(key)) planCache.set(key, create(options));
+    return planCache.get(key);
+};
+const planStorage = (options) => cached('plan', options, createStorage);
+const planHistory = (options) => cached('history', options, createHistory);
+const planAssets = (assets) => cached('assets', assets, createAssetStore);
+
+// One entry per workspace, or the single plan from .env
+const planTargets = () => {
+    const workspaces = loadWorkspaces();
+    return workspaces.length
+        ? workspaces.map(ws => ({ name: ws.name, options: storageOptions(ws), assets: assetOptions(ws) }))
+        : [{ name: process.env.SHEET_TAB || 'Sheet1', options: {}, assets: {} }];
+};
+
+const findTarget = (name) => {
+    const target = planTargets().find(t => t.name === name);
+    if (!target) throw new Error(`Unknown plan "${name}"`);
+    return target;
+};
+
+app.get('/api/plan-status', async (req, res) => {
+    try {
+        const plans = [];
+        for (const target of planTargets()) {
+            const { rows } = await loadRows(planStorage(target.options), { assignIds: false });
+            const filled = rows.filter(row => !row.isBlank());
+
+            plans.push({
+                name: target.name,
+                counts: countByStatus(filled),
+                rows: filled.map(row => ({
+                    row: row.rowNumber,
+                    id: row.id,
+                    topic: row.get('topic'),
+                    status: getStatus(row),
+                    detail: row.has('statusDetail') ? row.get('statusDetail') : '',
+                    image: row.get('genImage'),
+                    candidates: parseCandidates(row.get('candidates')).map(c => ({
+                        ...c,
+                        url: assetUrl(target.name, c.link),
+                        thumbnail: assetUrl(target.name, c.link, 400)
+                    }))
+                }))
+            });
+        }
+
+        res.json({ success: true, states: STATES, plans });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// 8. Version History (list and restore earlier captions/images of a row)
+app.get('/api/history', async (req, res) => {
+    const { plan, rowId } = req.query;
+    if (!plan || !rowId) {
+        return res.status(400).json({ success: false, error: 'plan and rowId are required' });
+    }
+
+    try {
+        const entries = await planHistory(findTarget(plan).options).list({ rowId });
+        res.json({ success: true, entries: entries.reverse() });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+app.post('/api/history/restore', async (req, res) => {
+    const { plan, historyId } = req.body;
+    if (!plan || !historyId) {
+        return res.status(400).json({ success: false, error: 'plan and historyId are required' });
+    }
+
+    try {
+        const { options } = findTarget(plan);
+        const { row, entry } = await planHistory(options).restore(planStorage(options), historyId);
+        const message = `Restored ${entry.Field} from ${entry.Timestamp} into row ${row.rowNumber}.`;
+        logEmitter.emit('log', { type: 'stdout', script: 'History', message });
+        res.json({ success: true, message });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// 9. Image Candidates (use one of a row's candidates as its image)
+app.post('/api/candidates/pick', async (req, res) => {
+    const { plan, rowId, candidate } = req.body;
+    if (!plan || !rowId || !candidate) {
+        return res.status(400).json({ success: false, error: 'plan, rowId and candidate are required' });
+    }
+
+    try {
+        const { options } = findTarget(plan);
+        const { row } = await pickCandidate(planStorage(options), rowId, candidate, { history: planHistory(options) });
+        const message = `Row ${row.rowNumber} now uses image candidate ${candidate}.`;
+        logEmitter.emit('log', { type: 'stdout', script: 'Candidates', message });
+        res.json({ success: true, message });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// 10. Assets (images the pipeline stored, for the dashboard to show)
+// Only asset IDs are served, so this can't be used to fetch arbitrary URLs
+const assetUrl = (plan, value, width) => {
+    if (!isAssetRef(value)) return width ? thumbnailUrl(value, width) : value;
+    const query = new URLSearchParams({ plan, ref: value, ...(width ? { width } : {}) });
+    return `/api/assets?${query}`;
+};
+
+app.get('/api/assets', async (req, res) => {
+    const { plan, ref } = req.query;
+    if (!plan || !isAssetRef(ref)) {
+        return res.status(400).json({ success: false, error: 'plan and an asset ID (drive:, local: or s3:) are required' });
+    }
+
+    try {
+        let { buffer, mimeType } = await planAssets(findTarget(plan).assets).get(ref);
+
+        const width = Math.floor(Number(req.query.width));
+        if (width > 0 && width < 4000) {
+            buffer = await sharp(buffer).resize({ width, withoutEnlargement: true }).jpeg().toBuffer();
+            mimeType = 'image/jpeg';
+        }
+
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.type(mimeType || 'application/octet-stream').send(buffer);
+    } catch (err) {
+        res.status(404).json({ success: false, error: err.message });
+    }
+});
 
 // Start Server
 app.listen(PORT, () => {